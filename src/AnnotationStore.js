@@ -0,0 +1,187 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { withLock } = require('./utils');
+
+// Raised for annotations that fail validation
+class AnnotationError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'AnnotationError';
+    }
+}
+
+const TYPES = ['point', 'span'];
+const DEFAULT_COLOR = '#e67e22';
+const MAX_TEXT_LENGTH = 1000;
+
+// Control characters other than line breaks (text) or any at all (author) are dropped
+const TEXT_CONTROL_CHARACTERS = /[\u0000-\u0009\u000b-\u001f\u007f-\u009f]/g;
+const CONTROL_CHARACTERS = /[\u0000-\u001f\u007f-\u009f]+/g;
+
+// Hex (#rgb, #rrggbb, #rrggbbaa) or rgb()/rgba() colors, as used by Plotly
+const COLOR_PATTERN = /^(?:#[0-9a-fA-F]{3,8}|rgba?\(\s*[\d.]+%?\s*,\s*[\d.]+%?\s*,\s*[\d.]+%?\s*(?:,\s*[\d.]+\s*)?\))$/;
+
+// Annotations of one measurement, kept in a sidecar JSON next to the .bin file
+// ("J25-07-30(3).bin" -> "J25-07-30(3).annotations.json"):
+//
+//   { "file": "J25-07-30(3).bin", "annotations": [
+//       { "id": "3f9c2a1b7e40", "type": "point", "time": 12.3, "text": "spark",
+//         "author": "jd", "color": "#e67e22", "created": "...", "modified": "..." },
+//       { "id": "...", "type": "span", "time": 4.1, "endTime": 4.6, "text": "sensor glitch", ... }
+//   ] }
+//
+// Times are seconds since the recording start.
+class AnnotationStore {
+    constructor(binPath) {
+        this.binPath = binPath;
+        this.path = AnnotationStore.getSidecarPath(binPath);
+        this.annotations = [];
+    }
+
+    static getSidecarPath(binPath) {
+        return binPath.replace(/\.bin$/i, '') + '.annotations.json';
+    }
+
+    // Annotations of a .bin file; a missing sidecar means no annotations
+    static async load(binPath) {
+        const store = new AnnotationStore(binPath);
+        
+        let text;
+        try {
+            text = await fs.promises.readFile(store.path, 'utf8');
+        } catch (error) {
+            if (error.code === 'ENOENT') return store;
+            throw error;
+        }
+        
+        let definition;
+        try {
+            definition = JSON.parse(text);
+        } catch (error) {
+            throw new Error(`Could not parse ${store.path}: ${error.message}`);
+        }
+        
+        if (!definition || !Array.isArray(definition.annotations)) {
+            throw new Error(`${store.path}: "annotations" must be a list`);
+        }
+        store.annotations = definition.annotations;
+        return store;
+    }
+
+    // Load, change and save under a per-file lock so concurrent requests do not lose edits.
+    // Resolves to the return value of change(store).
+    static async modify(binPath, change) {
+        return withLock(AnnotationStore.getSidecarPath(binPath), async () => {
+            const store = await AnnotationStore.load(binPath);
+            const result = change(store);
+            await store.save();
+            return result;
+        });
+    }
+
+    // Sorted by start time
+    list() {
+        return [...this.annotations].sort((a, b) => a.time - b.time);
+    }
+
+    create(input) {
+        const now = new Date().toISOString();
+        const annotation = {
+            id: crypto.randomBytes(6).toString('hex'),
+            ...this.normalize(input),
+            created: now,
+            modified: now
+        };
+        
+        this.annotations.push(annotation);
+        return annotation;
+    }
+
+    // Changes the given fields; returns null for unknown IDs
+    update(id, input) {
+        const index = this.annotations.findIndex(annotation => annotation.id === id);
+        if (index < 0) return null;
+        
+        const existing = this.annotations[index];
+        const merged = { ...existing, ...input };
+        
+        // Turning a span into a point drops its end
+        if (input.type === 'point') delete merged.endTime;
+        
+        this.annotations[index] = {
+            id: existing.id,
+            ...this.normalize(merged),
+            created: existing.created,
+            modified: new Date().toISOString()
+        };
+        return this.annotations[index];
+    }
+
+    remove(id) {
+        const count = this.annotations.length;
+        this.annotations = this.annotations.filter(annotation => annotation.id !== id);
+        return this.annotations.length < count;
+    }
+
+    // Write through a temporary file so readers never see a half-written sidecar
+    async save() {
+        const content = JSON.stringify({ file: path.basename(this.binPath), annotations: this.list() }, null, 2);
+        const temporary = `${this.path}.tmp`;
+        
+        await fs.promises.writeFile(temporary, content + '\n', 'utf8');
+        await fs.promises.rename(temporary, this.path);
+    }
+
+    // Validated annotation fields; throws AnnotationError
+    normalize(input) {
+        const time = Number(input.time);
+        const hasEnd = input.endTime !== undefined && input.endTime !== null && input.endTime !== '';
+        const type = input.type || (hasEnd ? 'span' : 'point');
+        
+        if (!TYPES.includes(type)) {
+            throw new AnnotationError(`Annotation type must be one of ${TYPES.join(', ')}, got "${type}"`);
+        }
+        if (input.time === undefined || input.time === null || input.time === '' || !isFinite(time) || time < 0) {
+            throw new AnnotationError('Annotation time must be a number of seconds >= 0');
+        }
+        
+        // Text may span lines; every line break is stored as \n
+        const text = typeof input.text === 'string'
+            ? input.text.replace(/\r\n?/g, '\n').replace(TEXT_CONTROL_CHARACTERS, '').trim()
+            : '';
+        if (!text) {
+            throw new AnnotationError('Annotation text is required');
+        }
+        if (text.length > MAX_TEXT_LENGTH) {
+            throw new AnnotationError(`Annotation text must not exceed ${MAX_TEXT_LENGTH} characters`);
+        }
+        
+        const color = input.color || DEFAULT_COLOR;
+        if (typeof color !== 'string' || !COLOR_PATTERN.test(color)) {
+            throw new AnnotationError(`Invalid annotation color: ${color}`);
+        }
+        
+        const annotation = {
+            type,
+            time,
+            text,
+            author: typeof input.author === 'string' ? input.author.replace(CONTROL_CHARACTERS, ' ').trim() : '',
+            color
+        };
+        
+        if (type === 'span') {
+            const endTime = Number(input.endTime);
+            if (!hasEnd || !isFinite(endTime) || endTime <= time) {
+                throw new AnnotationError('A span needs an endTime after its time');
+            }
+            annotation.endTime = endTime;
+        }
+        
+        return annotation;
+    }
+}
+
+AnnotationStore.AnnotationError = AnnotationError;
+
+module.exports = AnnotationStore;
@@ -0,0 +1,324 @@
+const fs = require('fs');
+const path = require('path');
+const BinaryReader = require('./BinaryReader');
+const DataProcessor = require('./DataProcessor');
+const CalculatedChannelConfig = require('./CalculatedChannelConfig');
+const CalibrationProfiles = require('./CalibrationProfiles');
+const DataExporter = require('./DataExporter');
+const MatExporter = require('./MatExporter');
+const AnnotationStore = require('./AnnotationStore');
+const SignalFilter = require('./SignalFilter');
+const PlotRenderer = require('./PlotRenderer');
+const ReportGenerator = require('./ReportGenerator');
+const { expandGlob, describeTimestamp, parsePercentiles, writeToFile } = require('./utils');
+
+// Statistics columns of `stats --format csv`, percentiles follow
+const STATISTICS_COLUMNS = ['count', 'startTime', 'endTime', 'min', 'max', 'timeOfMin', 'timeOfMax',
+    'peakToPeak', 'mean', 'stdDev', 'rms', 'integral'];
+
+// Headless commands over one or more .bin files (paths or glob patterns), without the server:
+//
+//   info       header, timestamp, sampling and channels               --json
+//   stats      statistics per channel                                 --channels --start --end --filter
+//                                                                      --percentiles --format json|csv
+//   export     channels in a time window as CSV/TSV                   --channels --start --end --step
+//                                                                      --fill --format csv|tsv --out-dir
+//   convert    the whole file as MATLAB .mat, CSV or TSV              --to mat|csv|tsv --out-dir
+//   render     plot image as SVG or PNG                               --channels --start --end --width
+//                                                                      --height --title --filter
+//                                                                      --format svg|png --out-dir
+//   report     self-contained HTML report                             --report-config --out-dir
+//
+// Results go to stdout (info, stats) or to files next to the inputs (export, convert, render, report).
+// A file that fails is reported on stderr and the others are still processed.
+class BatchCommands {
+    constructor(options = {}) {
+        this.calcConfigPath = options.calcConfig || CalculatedChannelConfig.DEFAULT_PATH;
+        this.calibrationPath = options.calibration || CalibrationProfiles.DEFAULT_PATH;
+        this.profile = options.profile || null;
+        this.timeZone = options.timeZone || undefined;
+        this.salvage = !!options.salvage; // read truncated files up to the last complete sample
+        this.output = options.output || process.stdout;
+        // Progress and warnings of reading and writing files go to stderr so results on stdout
+        // can be piped
+        this.log = options.log || console.error;
+    }
+
+    // Run a command over all files matching the patterns; resolves to the number of failed files
+    async run(command, patterns, options = {}) {
+        if (!BatchCommands.COMMANDS.includes(command)) {
+            throw new Error(`Unknown command: ${command} (${BatchCommands.COMMANDS.join(', ')})`);
+        }
+        
+        const files = await this.resolveFiles(patterns);
+        const results = [];
+        let failures = 0;
+        
+        for (const filePath of files) {
+            try {
+                const measurement = await this.readMeasurement(filePath);
+                const result = await this[command](filePath, measurement, options);
+                if (result) results.push(result);
+            } catch (error) {
+                console.error(`${filePath}: ${error.message}`);
+                failures++;
+            }
+        }
+        
+        this.printResults(command, results, options);
+        return failures;
+    }
+
+    // Expand glob patterns; duplicates are processed once
+    async resolveFiles(patterns) {
+        if (patterns.length === 0) {
+            throw new Error('No input files given');
+        }
+        
+        const files = [];
+        for (const pattern of patterns) {
+            const matches = await expandGlob(pattern);
+            if (matches.length === 0) {
+                throw new Error(`No files match ${pattern}`);
+            }
+            files.push(...matches);
+        }
+        return [...new Set(files)];
+    }
+
+    // Read and calibrate a binary file; returns { binaryReader, processor }
+    async readMeasurement(filePath) {
+        const calcConfig = await CalculatedChannelConfig.load(this.calcConfigPath);
+        const calibration = await CalibrationProfiles.load(this.calibrationPath);
+        if (this.profile && !calibration.getProfile(this.profile)) {
+            throw new CalibrationProfiles.UnknownProfileError(this.profile);
+        }
+        
+        const binaryReader = new BinaryReader(filePath, {
+            salvage: this.salvage,
+            calcConfig,
+            calibration,
+            profile: this.profile,
+            timeZone: this.timeZone,
+            log: this.log,
+            warn: this.log
+        });
+        await binaryReader.readFile();
+        
+        const processor = new DataProcessor(
+            binaryReader.getRawData(),
+            binaryReader.getCalculatedData(),
+            binaryReader.getMetadata(),
+            { log: this.log }
+        );
+        return { binaryReader, processor };
+    }
+
+    info(filePath, { binaryReader, processor }) {
+        const metadata = binaryReader.getMetadata();
+        const summary = processor.getMetadataSummary();
+        const calibration = binaryReader.getCalibrationProfile();
+        const channels = processor.getAllAvailableChannels();
+        
+        return {
+            file: filePath,
+            header: metadata.header,
+            timestamp: describeTimestamp(metadata),
+            duration: summary.duration,
+            samplingInterval: metadata.samplingInterval,
+            sampleRate: 1e9 / metadata.samplingInterval,
+            samples: binaryReader.getDiagnostics().completeSamples,
+            calibration: calibration.name ? { name: calibration.name, matchedBy: calibration.matchedBy } : null,
+            channels: [...channels.raw, ...channels.calculated].map(({ id, label, unit, points }) => ({ id, label, unit, points })),
+            warnings: binaryReader.getDiagnostics().warnings
+        };
+    }
+
+    stats(filePath, { processor }, options) {
+        const channelIds = this.getChannelIds(processor, options.channels, true);
+        const start = options.start !== undefined ? parseFloat(options.start) : null;
+        const end = options.end !== undefined ? parseFloat(options.end) : null;
+        const filter = options.filter ? new SignalFilter(options.filter) : null;
+        
+        const percentiles = parsePercentiles(options.percentiles);
+        if (percentiles === null) {
+            throw new Error('--percentiles must be numbers between 0 and 100');
+        }
+        
+        const channels = {};
+        for (const channelId of channelIds) {
+            channels[channelId] = processor.getChannelStatistics(channelId, start, end, filter, percentiles) ||
+                { error: 'Channel not found' };
+        }
+        
+        return { file: filePath, startTime: start, endTime: end, filter: filter ? filter.key : null, channels };
+    }
+
+    async export(filePath, { binaryReader, processor }, options) {
+        const exporter = await this.createDataExporter(filePath, binaryReader, processor);
+        const prepared = exporter.prepare(this.getChannelIds(processor, options.channels, false), {
+            format: options.format,
+            start: options.start,
+            end: options.end,
+            step: options.step,
+            fill: options.fill,
+            metadata: !options.noMetadata
+        });
+        
+        // Windows are part of the name so exports of different windows do not overwrite each other
+        const windowed = options.start !== undefined || options.end !== undefined;
+        const name = windowed ? exporter.getDownloadName(prepared) : this.getOutputName(filePath, prepared.format);
+        const outputPath = await this.getOutputPath(filePath, name, options.outDir);
+        
+        await this.writeDelimitedFile(exporter, prepared, outputPath);
+        console.error(`Written: ${outputPath}`);
+    }
+
+    async convert(filePath, { binaryReader, processor }, options) {
+        const format = (options.to || 'mat').toLowerCase();
+        const outputPath = await this.getOutputPath(filePath, this.getOutputName(filePath, format), options.outDir);
+        
+        if (format === 'mat') {
+            const annotations = await AnnotationStore.load(filePath);
+            await new MatExporter(binaryReader, path.basename(filePath), annotations.list(), { log: this.log }).writeFile(outputPath);
+        } else {
+            const exporter = await this.createDataExporter(filePath, binaryReader, processor);
+            const channels = processor.getAllAvailableChannels();
+            const prepared = exporter.prepare([...channels.raw, ...channels.calculated].map(channel => channel.id), { format });
+            await this.writeDelimitedFile(exporter, prepared, outputPath);
+        }
+        console.error(`Written: ${outputPath}`);
+    }
+
+    async render(filePath, { binaryReader, processor }, options) {
+        const format = (options.format || 'svg').toLowerCase();
+        if (!PlotRenderer.FORMATS.includes(format)) {
+            throw new Error(`Unsupported image format: ${format} (svg or png)`);
+        }
+        
+        const renderer = new PlotRenderer(processor, binaryReader.getMetadata(), path.basename(filePath));
+        const svg = renderer.render(
+            options.channels ? this.getChannelIds(processor, options.channels) : processor.getDefaultDisplayChannels(),
+            {
+                start: options.start,
+                end: options.end,
+                width: options.width,
+                height: options.height,
+                title: options.title,
+                filter: options.filter ? new SignalFilter(options.filter) : null
+            }
+        );
+        
+        const outputPath = await this.getOutputPath(filePath, this.getOutputName(filePath, format), options.outDir);
+        await fs.promises.writeFile(outputPath, format === 'png' ? PlotRenderer.toPng(svg) : svg);
+        console.error(`Written: ${outputPath}`);
+    }
+
+    async report(filePath, { binaryReader, processor }, options) {
+        const generator = await ReportGenerator.load(options.reportConfig || ReportGenerator.DEFAULT_PATH);
+        const annotations = await AnnotationStore.load(filePath);
+        const html = await generator.generate({
+            binaryReader,
+            processor,
+            filename: path.basename(filePath),
+            annotations: annotations.list()
+        });
+
+        const name = `${path.basename(filePath).replace(/\.bin$/i, '')}_report.html`;
+        const outputPath = await this.getOutputPath(filePath, name, options.outDir);
+        await fs.promises.writeFile(outputPath, html, 'utf8');
+        console.error(`Written: ${outputPath}`);
+    }
+
+    async createDataExporter(filePath, binaryReader, processor) {
+        const annotations = await AnnotationStore.load(filePath);
+        return new DataExporter(processor, binaryReader.getMetadata(), path.basename(filePath), annotations.list());
+    }
+
+    async writeDelimitedFile(exporter, prepared, outputPath) {
+        await writeToFile(outputPath, stream => exporter.writeDelimited(stream, prepared));
+    }
+
+    // --channels as a list; by default all channels (withRaw) or the calculated ones
+    getChannelIds(processor, channels, withRaw) {
+        if (channels) {
+            return String(channels).split(',').map(id => id.trim()).filter(id => id);
+        }
+        
+        const available = processor.getAllAvailableChannels();
+        return [...(withRaw ? available.raw : []), ...available.calculated].map(channel => channel.id);
+    }
+
+    getOutputName(filePath, extension) {
+        return `${path.basename(filePath).replace(/\.bin$/i, '')}.${extension}`;
+    }
+
+    // Next to the input, or in outDir (created when missing)
+    async getOutputPath(filePath, name, outDir) {
+        if (!outDir) return path.join(path.dirname(filePath), name);
+        
+        await fs.promises.mkdir(outDir, { recursive: true });
+        return path.join(outDir, name);
+    }
+
+    printResults(command, results, options) {
+        if (command === 'info' && !options.json) {
+            results.forEach(info => this.output.write(this.formatInfo(info)));
+        } else if (command === 'stats' && options.format === 'csv') {
+            this.output.write(this.formatStatisticsCsv(results));
+        } else if (command === 'info' || command === 'stats') {
+            this.output.write(JSON.stringify(results, null, 2) + '\n');
+        }
+    }
+
+    formatInfo(info) {
+        const timestamp = info.timestamp.unixMs
+            ? `${info.timestamp.local} (${info.timestamp.kind}, ${info.timestamp.timeZone})`
+            : 'unknown';
+        const calibration = info.calibration ? `${info.calibration.name} (${info.calibration.matchedBy})` : 'none';
+        
+        const lines = [
+            info.file,
+            `  Header:       ${info.header}`,
+            `  Start:        ${timestamp}`,
+            `  Duration:     ${info.duration.toFixed(3)} s`,
+            `  Sampling:     ${info.sampleRate} Hz (${info.samplingInterval} ns), ${info.samples.toLocaleString()} samples`,
+            `  Calibration:  ${calibration}`,
+            '  Channels:',
+            ...info.channels.map(channel =>
+                `    ${channel.id.padEnd(10)} ${`${channel.label} [${channel.unit}]`.padEnd(24)} ${channel.points.toLocaleString()} points`),
+            ...info.warnings.map(warning => `  Warning: ${warning}`)
+        ];
+        return lines.join('\n') + '\n\n';
+    }
+
+    // One row per file and channel
+    formatStatisticsCsv(results) {
+        const percentileNames = [...new Set(results.flatMap(result =>
+            Object.values(result.channels).flatMap(stats => Object.keys(stats.percentiles || {}))
+        ))];
+        const escape = value => /[",\n]/.test(String(value)) ? `"${String(value).replace(/"/g, '""')}"` : String(value);
+        const rows = [['file', 'channel', 'label', 'unit', ...STATISTICS_COLUMNS, ...percentileNames, 'error']];
+        
+        for (const result of results) {
+            for (const [channelId, stats] of Object.entries(result.channels)) {
+                const value = v => v === undefined || v === null ? '' : v;
+                rows.push([
+                    result.file,
+                    channelId,
+                    value(stats.label),
+                    value(stats.unit),
+                    ...STATISTICS_COLUMNS.map(column => value(stats[column])),
+                    ...percentileNames.map(name => value(stats.percentiles && stats.percentiles[name])),
+                    value(stats.error)
+                ]);
+            }
+        }
+        
+        return rows.map(row => row.map(escape).join(',')).join('\n') + '\n';
+    }
+}
+
+BatchCommands.COMMANDS = ['info', 'stats', 'export', 'convert', 'render', 'report'];
+
+module.exports = BatchCommands;
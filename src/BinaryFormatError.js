@@ -0,0 +1,30 @@
+// Error raised when a .bin file does not match the expected acquisition format
+class BinaryFormatError extends Error {
+    constructor(code, message, details = {}) {
+        super(message);
+        this.name = 'BinaryFormatError';
+        this.code = code;
+        this.details = details;
+    }
+
+    toJSON() {
+        return {
+            error: this.message,
+            code: this.code,
+            details: this.details
+        };
+    }
+}
+
+// Error codes
+BinaryFormatError.TRUNCATED_HEADER = 'TRUNCATED_HEADER';
+BinaryFormatError.INVALID_STRING = 'INVALID_STRING';
+BinaryFormatError.INVALID_BUFFER_SIZE = 'INVALID_BUFFER_SIZE';
+BinaryFormatError.INVALID_MAX_ADC = 'INVALID_MAX_ADC';
+BinaryFormatError.INVALID_SAMPLING_INTERVAL = 'INVALID_SAMPLING_INTERVAL';
+BinaryFormatError.INVALID_DOWNSAMPLING = 'INVALID_DOWNSAMPLING';
+BinaryFormatError.TRUNCATED_DATA = 'TRUNCATED_DATA';
+BinaryFormatError.INVALID_CHANNEL_DATA = 'INVALID_CHANNEL_DATA';
+BinaryFormatError.FILE_REPLACED = 'FILE_REPLACED';
+
+module.exports = BinaryFormatError;
@@ -1,17 +1,59 @@
 const fs = require('fs');
-const { convertAdcToPhysical } = require('./utils');
+const EventEmitter = require('events');
+const { convertAdcToPhysical, VOLTAGE_RANGES, getLocalTimeZone, isValidTimeZone, getTimeZoneOffsetMs, wallClockToUnixMs } = require('./utils');
+const BinaryFormatError = require('./BinaryFormatError');
+const CalculatedChannelConfig = require('./CalculatedChannelConfig');
+const CalibrationProfiles = require('./CalibrationProfiles');
 
-class BinaryReader {
-    constructor(filename) {
+// .NET DateTime.ToBinary() layout: kind in the top two bits, ticks (100 ns since 0001-01-01) below
+const TICKS_MASK = 0x3FFFFFFFFFFFFFFFn;
+const TICKS_CEILING = 0x4000000000000000n;
+const TICKS_PER_DAY = 864000000000n;
+const DOTNET_EPOCH_TICKS = 621355968000000000n; // 1970-01-01 in .NET ticks
+const TIMESTAMP_KINDS = ['unspecified', 'utc', 'local', 'local']; // 11 = local in the repeated DST hour
+
+class BinaryReader extends EventEmitter {
+    constructor(filename, options = {}) {
+        super();
         this.filename = filename;
         this.metadata = {};
         this.rawData = {};
         this.calculatedData = {};
         
-        // Constants for calculations (from C# code)
-        this.TRAFO_STROM_MULTIPLIER = 35;
-        this.FORCE_COEFF_1 = 6.2832;
-        this.FORCE_COEFF_2 = 5.0108;
+        // Streaming settings - samples are read in chunks of CHUNK_SIZE bytes
+        this.CHUNK_SIZE = options.chunkSize || 4 * 1024 * 1024;
+        this.HEADER_READ_SIZE = 64 * 1024;
+        
+        // Progress messages and warnings; batch commands send them to stderr or drop them
+        this.log = options.log || console.log;
+        this.warn = options.warn || console.warn;
+        
+        // Salvage mode plots the complete samples of a truncated file instead of failing
+        this.salvage = !!options.salvage;
+        this.diagnostics = { warnings: [] };
+        
+        // Live tail mode reads a file that is still being written: the samples present so far
+        // are loaded and readAppended() extends the channels as the file grows
+        this.live = !!options.live;
+        
+        // Backing buffers of channels extended by readAppended(), keyed by channel data object
+        this.channelBuffers = new Map();
+        
+        // Calculated channel definitions - loaded from config/calculated-channels.json when not given
+        this.calcConfig = options.calcConfig || null;
+        
+        // Calibration profiles - loaded from config/calibration-profiles.json when not given.
+        // options.profile forces a profile by name, otherwise it is matched by header and date.
+        this.calibration = options.calibration || null;
+        this.profileName = options.profile || null;
+        this.calibrationSelection = { profile: null, matchedBy: 'none', warnings: [] };
+        
+        // Time zone of the recording machine (IANA name). Interprets timestamps stored
+        // without a kind and is reported with the metadata for wall-clock display.
+        this.timeZone = options.timeZone || getLocalTimeZone();
+        if (!isValidTimeZone(this.timeZone)) {
+            throw new Error(`Unknown time zone: ${this.timeZone}`);
+        }
     }
 
     readCSharpString(buffer, offset) {
@@ -21,213 +63,399 @@ class BinaryReader {
         let currentOffset = offset;
         
         while (true) {
+            if (currentOffset >= buffer.length) {
+                throw new BinaryFormatError(BinaryFormatError.TRUNCATED_HEADER,
+                    `File ends inside a string length prefix at byte ${offset}`, { offset });
+            }
             const byteVal = buffer.readUInt8(currentOffset++);
             length |= (byteVal & 0x7F) << shift;
             if ((byteVal & 0x80) === 0) break;
             shift += 7;
+            
+            // .NET writes at most 5 bytes for an Int32 length
+            if (shift > 28) {
+                throw new BinaryFormatError(BinaryFormatError.INVALID_STRING,
+                    `Invalid 7-bit string length at byte ${offset}`, { offset });
+            }
         }
         
         if (length === 0) {
             return { value: '', newOffset: currentOffset };
         }
         
+        if (currentOffset + length > buffer.length) {
+            throw new BinaryFormatError(BinaryFormatError.INVALID_STRING,
+                `String at byte ${offset} claims ${length} bytes but only ${buffer.length - currentOffset} remain in the header`,
+                { offset, length });
+        }
+        
         const str = buffer.subarray(currentOffset, currentOffset + length).toString('utf8');
         return { value: str, newOffset: currentOffset + length };
     }
 
-    // Convert .NET DateTime.ToBinary() format to Unix milliseconds
+    // Convert .NET DateTime.ToBinary() format to Unix milliseconds.
+    //   UTC kind          ticks are UTC
+    //   Local kind        ToBinary() already converted to UTC ticks; instants before year 1 UTC
+    //                     (local midnight of 0001-01-01 east of Greenwich) wrap below TicksCeiling
+    //   Unspecified kind  wall-clock ticks without a zone, read in this.timeZone
+    // Returns 0 when the timestamp is implausible, which disables absolute time features.
     convertBinaryTimestampToUnixMs(startTimeBinary) {
-        try {
-            // .NET DateTime.ToBinary() format analysis
-            let ticks;
-            
-            if (startTimeBinary >= 0) {
-                // UTC time - ticks are in the lower 62 bits
-                ticks = startTimeBinary & 0x3FFFFFFFFFFFFFFFn;
-            } else {
-                // Local time - need to extract ticks differently
-                const ticksMask = 0x3FFFFFFFFFFFFFFFn; // 62-bit mask
-                ticks = startTimeBinary & ticksMask;
-                
-                if (ticks < 0) {
-                    const absValue = startTimeBinary < 0 ? -startTimeBinary : startTimeBinary;
-                    ticks = absValue & ticksMask;
-                }
-            }
-            
-            // Convert .NET ticks to Unix milliseconds
-            const dotNetEpochTicks = 621355968000000000n;
-            
-            if (ticks > dotNetEpochTicks) {
-                const unixTicks = ticks - dotNetEpochTicks;
-                const unixMs = Number(unixTicks / 10000n); // Convert to milliseconds
-                
-                // Validate the result
-                if (unixMs > 0 && unixMs < Date.now() + (365 * 24 * 3600 * 1000)) {
-                    return unixMs;
-                }
-            }
-            
-        } catch (e) {
-            console.log(`Error in timestamp conversion: ${e.message}`);
+        const kind = this.getTimestampKind(startTimeBinary);
+        let ticks = BigInt.asUintN(64, startTimeBinary) & TICKS_MASK;
+        
+        if (kind === 'local' && ticks > TICKS_CEILING - TICKS_PER_DAY) {
+            ticks -= TICKS_CEILING;
+        }
+        
+        let unixMs = Number((ticks - DOTNET_EPOCH_TICKS) / 10000n);
+        if (kind === 'unspecified') {
+            unixMs = wallClockToUnixMs(unixMs, this.timeZone);
+        }
+        
+        // Anything before 1990 or more than a year ahead is not a real recording time
+        if (unixMs > Date.UTC(1990, 0, 1) && unixMs < Date.now() + 365 * 24 * 3600 * 1000) {
+            return unixMs;
         }
         
-        // Fallback: return 0 to disable alignment
-        console.log(`WARNING: Could not convert DateTime.ToBinary() format, returning 0 (alignment disabled)`);
+        this.addWarning(`Start timestamp ${startTimeBinary} (${kind}) is not a plausible date, absolute time is unavailable`);
         return 0;
     }
 
+    // Kind bits of a DateTime.ToBinary() value: 'utc', 'local' or 'unspecified'
+    getTimestampKind(startTimeBinary) {
+        return TIMESTAMP_KINDS[Number(BigInt.asUintN(64, startTimeBinary) >> 62n)];
+    }
+
     async readFile() {
-        console.log(`Reading binary file: ${this.filename}`);
+        this.log(`Reading binary file: ${this.filename}`);
         const startTime = process.hrtime.bigint();
         
+        let fileHandle = null;
         try {
-            // Read entire file into buffer
-            const buffer = await fs.promises.readFile(this.filename);
-            console.log(`File loaded: ${(buffer.length / 1024 / 1024).toFixed(1)} MB`);
-            
-            let offset = 0;
-            
-            // Read header
-            const headerResult = this.readCSharpString(buffer, offset);
-            const header = headerResult.value;
-            offset = headerResult.newOffset;
-            console.log(`Header: ${header}`);
+            fileHandle = await fs.promises.open(this.filename, 'r');
+            const { size: fileSize } = await fileHandle.stat();
+            this.log(`File size: ${(fileSize / 1024 / 1024).toFixed(1)} MB`);
             
-            // Read metadata
-            const bufferSize = buffer.readUInt32LE(offset); offset += 4;
-            const startTimeBinary = buffer.readBigInt64LE(offset); offset += 8;
-            const maxAdcValue = buffer.readInt16LE(offset); offset += 2;
+            // Only the header is read up front - the samples are streamed afterwards
+            const headerBytes = Math.min(fileSize, this.HEADER_READ_SIZE);
+            const headerBuffer = Buffer.alloc(headerBytes);
+            await fileHandle.read(headerBuffer, 0, headerBytes, 0);
+            await fileHandle.close();
+            fileHandle = null;
             
-            // Convert binary timestamp to Unix timestamp in milliseconds
-            const binaryUnixMs = this.convertBinaryTimestampToUnixMs(startTimeBinary);
+            const dataOffset = this.parseHeader(headerBuffer);
+            this.dataOffset = dataOffset;
+            // Kept so readAppended() notices a file rewritten under the same name
+            this.headerBytes = this.live ? Buffer.from(headerBuffer.subarray(0, dataOffset)) : null;
+            const { bufferSize, samplingInterval } = this.metadata;
             
-            // Read channel ranges (8x Int32)
-            const channelRanges = [];
-            for (let i = 0; i < 8; i++) {
-                channelRanges.push(buffer.readInt32LE(offset));
-                offset += 4;
-            }
-            
-            // Read channel scaling (8x Int16)
-            const channelScaling = [];
-            for (let i = 0; i < 8; i++) {
-                channelScaling.push(buffer.readInt16LE(offset));
-                offset += 2;
-            }
+            this.log(`Header: ${this.metadata.header}`);
+            this.log(`Buffer size: ${bufferSize.toLocaleString()}`);
+            this.log(`Sampling interval: ${samplingInterval} ns`);
             
-            // Read sampling interval
-            const samplingInterval = buffer.readUInt32LE(offset); offset += 4;
+            // Pick the calibration profile before any ADC values are converted
+            await this.selectCalibrationProfile();
             
-            // Read downsampling factors (8x int)
-            const downsampling = [];
-            for (let i = 0; i < 8; i++) {
-                downsampling.push(buffer.readInt32LE(offset));
-                offset += 4;
-            }
-            
-            // Read units (8x string)
-            const units = [];
-            for (let i = 0; i < 8; i++) {
-                const result = this.readCSharpString(buffer, offset);
-                units.push(result.value);
-                offset = result.newOffset;
-            }
-            
-            // Read labels (8x string)
-            const labels = [];
-            for (let i = 0; i < 8; i++) {
-                const result = this.readCSharpString(buffer, offset);
-                labels.push(result.value);
-                offset = result.newOffset;
-            }
-            
-            // Create readable date for logging
-            const readDateTime = new Date(binaryUnixMs);
-            
-            // Store metadata
-            this.metadata = {
-                header,
-                bufferSize,
-                startTimeBinary,
-                binaryUnixMs,
-                readDateTime,
-                maxAdcValue,
-                channelRanges,
-                channelScaling,
-                samplingInterval,
-                downsampling,
-                units,
-                labels
-            };
-            
-            console.log(`Buffer size: ${bufferSize.toLocaleString()}`);
-            console.log(`Sampling interval: ${samplingInterval} ns`);
+            // Validate before allocating anything sized by the header
+            this.validateMetadata();
+            this.validatePayloadLength(dataOffset, fileSize);
             
             // Read the actual data
-            console.log('Reading data...');
+            this.log('Reading data...');
             const dataStartTime = process.hrtime.bigint();
-            await this.readChannelData(buffer, offset, bufferSize, downsampling);
+            await this.readChannelData(dataOffset, fileSize);
             const dataEndTime = process.hrtime.bigint();
             
             // Compute calculated channels
-            console.log('Computing calculated channels...');
+            this.log('Computing calculated channels...');
+            this.emitProgress('calculating', fileSize, fileSize);
             const calcStartTime = process.hrtime.bigint();
+            if (!this.calcConfig) {
+                this.calcConfig = await CalculatedChannelConfig.load();
+            }
             this.computeCalculatedChannels();
             const calcEndTime = process.hrtime.bigint();
             
             const totalEndTime = process.hrtime.bigint();
+            this.emitProgress('done', fileSize, fileSize);
             
-            console.log(`Data reading completed in: ${Number(dataEndTime - dataStartTime) / 1e9} seconds`);
-            console.log(`Calculated channels computed in: ${Number(calcEndTime - calcStartTime) / 1e9} seconds`);
-            console.log(`Total file processing time: ${Number(totalEndTime - startTime) / 1e9} seconds`);
+            this.log(`Data reading completed in: ${Number(dataEndTime - dataStartTime) / 1e9} seconds`);
+            this.log(`Calculated channels computed in: ${Number(calcEndTime - calcStartTime) / 1e9} seconds`);
+            this.log(`Total file processing time: ${Number(totalEndTime - startTime) / 1e9} seconds`);
             
         } catch (error) {
-            console.error('Error reading file:', error);
+            this.warn(`Error reading file: ${error.message}`);
+            throw error;
+        } finally {
+            if (fileHandle) await fileHandle.close();
+        }
+    }
+
+    // Parse the header and metadata block, returns the offset of the first sample
+    parseHeader(buffer) {
+        try {
+            return this.parseHeaderFields(buffer);
+        } catch (error) {
+            if (error.code === 'ERR_OUT_OF_RANGE') {
+                throw new BinaryFormatError(BinaryFormatError.TRUNCATED_HEADER,
+                    `File is too short for the header (${buffer.length} bytes)`, { fileSize: buffer.length });
+            }
             throw error;
         }
     }
 
-    async readChannelData(buffer, startOffset, bufferSize, downsampling) {
-        // Pre-calculate total data points and allocate arrays
-        const channelDataArrays = [];
-        const expectedPoints = [];
+    parseHeaderFields(buffer) {
+        let offset = 0;
+        
+        // Read header
+        const headerResult = this.readCSharpString(buffer, offset);
+        const header = headerResult.value;
+        offset = headerResult.newOffset;
+        
+        // Read metadata
+        const bufferSize = buffer.readUInt32LE(offset); offset += 4;
+        const startTimeBinary = buffer.readBigInt64LE(offset); offset += 8;
+        const maxAdcValue = buffer.readInt16LE(offset); offset += 2;
+        
+        // Convert binary timestamp to Unix timestamp in milliseconds
+        const binaryUnixMs = this.convertBinaryTimestampToUnixMs(startTimeBinary);
+        
+        // Read channel ranges (8x Int32)
+        const channelRanges = [];
+        for (let i = 0; i < 8; i++) {
+            channelRanges.push(buffer.readInt32LE(offset));
+            offset += 4;
+        }
+        
+        // Read channel scaling (8x Int16)
+        const channelScaling = [];
+        for (let i = 0; i < 8; i++) {
+            channelScaling.push(buffer.readInt16LE(offset));
+            offset += 2;
+        }
+        
+        // Read sampling interval
+        const samplingInterval = buffer.readUInt32LE(offset); offset += 4;
+        
+        // Read downsampling factors (8x int)
+        const downsampling = [];
+        for (let i = 0; i < 8; i++) {
+            downsampling.push(buffer.readInt32LE(offset));
+            offset += 4;
+        }
+        
+        // Read units (8x string)
+        const units = [];
+        for (let i = 0; i < 8; i++) {
+            const result = this.readCSharpString(buffer, offset);
+            units.push(result.value);
+            offset = result.newOffset;
+        }
+        
+        // Read labels (8x string)
+        const labels = [];
+        for (let i = 0; i < 8; i++) {
+            const result = this.readCSharpString(buffer, offset);
+            labels.push(result.value);
+            offset = result.newOffset;
+        }
+        
+        // Create readable date for logging
+        const readDateTime = new Date(binaryUnixMs);
+        
+        // Store metadata
+        this.metadata = {
+            header,
+            bufferSize,
+            startTimeBinary,
+            binaryUnixMs,
+            timestampKind: this.getTimestampKind(startTimeBinary),
+            timeZone: this.timeZone,
+            utcOffsetMinutes: binaryUnixMs ? getTimeZoneOffsetMs(binaryUnixMs, this.timeZone) / 60000 : null,
+            readDateTime,
+            maxAdcValue,
+            channelRanges,
+            channelScaling,
+            samplingInterval,
+            downsampling,
+            units,
+            labels
+        };
+        
+        return offset;
+    }
+
+    // Reject header values that would make reading divide by zero or allocate absurd amounts
+    validateMetadata() {
+        const { bufferSize, maxAdcValue, samplingInterval, downsampling, channelRanges } = this.metadata;
+        
+        if (bufferSize === 0) {
+            throw new BinaryFormatError(BinaryFormatError.INVALID_BUFFER_SIZE,
+                'Buffer size is 0 - the file contains no samples', { bufferSize });
+        }
         
         for (let channel = 0; channel < 8; channel++) {
-            const points = Math.floor(bufferSize / downsampling[channel]);
-            expectedPoints.push(points);
-            channelDataArrays.push(new Float32Array(points));
-        }
-        
-        // Read all data with direct buffer access
-        let dataOffset = startOffset;
-        const channelIndices = new Array(8).fill(0);
-        
-        // Process data exactly like C# - but faster with direct buffer access
-        for (let j = 0; j < bufferSize; j++) {
-            for (let channel = 0; channel < 8; channel++) {
-                if (j % downsampling[channel] === 0) {
-                    // Direct buffer read
-                    const rawAdc = buffer.readInt16LE(dataOffset);
-                    dataOffset += 2;
-                    
-                    // Convert ADC to physical value
-                    const physicalValue = convertAdcToPhysical(
-                        rawAdc, 
-                        this.metadata.maxAdcValue,
-                        this.metadata.channelRanges[channel],
-                        this.metadata.channelScaling[channel]
-                    );
-                    
-                    // Direct array assignment
-                    channelDataArrays[channel][channelIndices[channel]++] = physicalValue;
-                }
+            const factor = downsampling[channel];
+            if (!Number.isInteger(factor) || factor < 1) {
+                throw new BinaryFormatError(BinaryFormatError.INVALID_DOWNSAMPLING,
+                    `Invalid downsampling on channel ${channel}: ${factor}`, { channel, downsampling: factor });
+            }
+        }
+        
+        if (maxAdcValue <= 0) {
+            throw new BinaryFormatError(BinaryFormatError.INVALID_MAX_ADC,
+                `Invalid max ADC value: ${maxAdcValue}`, { maxAdcValue });
+        }
+        
+        if (samplingInterval === 0) {
+            throw new BinaryFormatError(BinaryFormatError.INVALID_SAMPLING_INTERVAL,
+                'Sampling interval is 0 ns', { samplingInterval });
+        }
+        
+        // Unknown ranges fall back to 5 V in convertAdcToPhysical - worth a warning, not a failure
+        const voltageRanges = this.getVoltageRanges();
+        for (let channel = 0; channel < 8; channel++) {
+            if (voltageRanges[channelRanges[channel]] === undefined) {
+                this.addWarning(`Unknown voltage range ${channelRanges[channel]} on channel ${channel}, assuming 5 V`);
+            }
+        }
+    }
+
+    async selectCalibrationProfile() {
+        if (!this.calibration) {
+            this.calibration = await CalibrationProfiles.load();
+        }
+        
+        this.calibrationSelection = this.calibration.select(
+            this.metadata.header,
+            this.metadata.binaryUnixMs,
+            this.profileName
+        );
+        this.calibrationSelection.warnings.forEach(warning => this.addWarning(warning));
+        
+        this.metadata.calibrationProfile = this.calibration.describe(this.calibrationSelection);
+        this.log(`Calibration profile: ${this.metadata.calibrationProfile.name || 'none'} ` +
+            `(${this.calibrationSelection.matchedBy})`);
+    }
+
+    // Voltage range table of the active calibration profile
+    getVoltageRanges() {
+        const profile = this.calibrationSelection.profile;
+        return profile ? profile.voltageRanges : VOLTAGE_RANGES;
+    }
+
+    // Calculated channel constants with the calibration profile's overrides applied
+    getCalculationConstants() {
+        const profile = this.calibrationSelection.profile;
+        return {
+            ...this.calcConfig.getConstants(),
+            ...(profile ? profile.constants : {})
+        };
+    }
+
+    // Number of Int16 values the C# writer emits for the first sampleCount samples
+    valuesForSamples(sampleCount) {
+        let values = 0;
+        for (let channel = 0; channel < 8; channel++) {
+            values += Math.ceil(sampleCount / this.metadata.downsampling[channel]);
+        }
+        return values;
+    }
+
+    // Compare the payload the header promises with what is actually on disk
+    validatePayloadLength(dataOffset, fileSize) {
+        const { bufferSize } = this.metadata;
+        const expectedBytes = this.valuesForSamples(bufferSize) * 2;
+        const availableBytes = Math.max(0, fileSize - dataOffset);
+        
+        this.diagnostics.expectedSamples = bufferSize;
+        this.diagnostics.expectedBytes = expectedBytes;
+        this.diagnostics.availableBytes = availableBytes;
+        this.diagnostics.truncated = false;
+        this.sampleLimit = bufferSize;
+        
+        if (availableBytes > expectedBytes) {
+            this.addWarning(`${availableBytes - expectedBytes} trailing bytes after the last sample were ignored`);
+        }
+        
+        if (availableBytes >= expectedBytes) {
+            this.diagnostics.completeSamples = bufferSize;
+            return;
+        }
+        
+        const completeSamples = this.countCompleteSamples(availableBytes);
+        
+        this.diagnostics.truncated = true;
+        this.diagnostics.completeSamples = completeSamples;
+        
+        // A file that is still being written is expected to be short, or even to hold no
+        // sample yet; readAppended() fills the channels as it grows
+        if (this.live) {
+            this.sampleLimit = completeSamples;
+            return;
+        }
+        
+        const message = `File truncated after ${completeSamples.toLocaleString()} of ${bufferSize.toLocaleString()} samples ` +
+            `(${availableBytes.toLocaleString()} of ${expectedBytes.toLocaleString()} data bytes present)`;
+        
+        if (!this.salvage || completeSamples === 0) {
+            throw new BinaryFormatError(BinaryFormatError.TRUNCATED_DATA, message, {
+                completeSamples,
+                expectedSamples: bufferSize,
+                availableBytes,
+                expectedBytes,
+                salvageable: completeSamples > 0
+            });
+        }
+        
+        this.addWarning(`${message} - salvaging complete samples`);
+        this.sampleLimit = completeSamples;
+    }
+
+    // Number of samples whose values are all within availableBytes of payload
+    countCompleteSamples(availableBytes) {
+        // Binary search, valuesForSamples() grows with the sample count
+        let low = 0;
+        let high = this.metadata.bufferSize;
+        while (low < high) {
+            const mid = Math.ceil((low + high) / 2);
+            if (this.valuesForSamples(mid) * 2 <= availableBytes) {
+                low = mid;
+            } else {
+                high = mid - 1;
             }
         }
+        return low;
+    }
+
+    addWarning(message) {
+        this.warn(`WARNING: ${message}`);
+        this.diagnostics.warnings.push(message);
+    }
+
+    // Stream the interleaved samples in fixed-size chunks so multi-GB files
+    // neither need one giant Buffer nor block the event loop
+    async readChannelData(startOffset, fileSize) {
+        const { downsampling } = this.metadata;
+        const sampleLimit = this.sampleLimit;
+        
+        // Pre-calculate total data points and allocate arrays.
+        // Sample j is recorded when j % downsampling === 0, i.e. ceil(n / downsampling) points
+        const channelDataArrays = downsampling.map(factor => new Float32Array(Math.ceil(sampleLimit / factor)));
+        
+        // Decoder state carried across chunk boundaries
+        const state = {
+            sampleIndex: 0,               // j in the C# loop
+            channel: 0,                   // next channel to check within sample j
+            channelIndices: new Array(8).fill(0),
+            leftover: null                // odd byte from the previous chunk
+        };
+        
+        await this.streamSamples(startOffset, state, channelDataArrays, fileSize);
         
         // Create time axes and store data
         for (let channel = 0; channel < 8; channel++) {
-            const actualPoints = channelIndices[channel];
+            const actualPoints = state.channelIndices[channel];
             const dataArray = channelDataArrays[channel].slice(0, actualPoints);
             
             // Create time axis
@@ -248,153 +476,328 @@ class BinaryReader {
         }
     }
 
-    computeCalculatedChannels() {
-        // Define calculated channel metadata
-        const calcChannelDefs = {
-            0: { label: 'UL3L1*', unit: 'V', sourceChannels: [0, 1] },
-            1: { label: 'IL2GR1*', unit: 'V', sourceChannels: [2, 3] },
-            2: { label: 'IL2GR2*', unit: 'V', sourceChannels: [4, 5] },
-            3: { label: 'I_DC_GR1*', unit: 'A', sourceChannels: [2, 3] },
-            4: { label: 'I_DC_GR2*', unit: 'A', sourceChannels: [4, 5] },
-            5: { label: 'U_DC*', unit: 'V', sourceChannels: [0, 1] },
-            6: { label: 'F_Schlitten*', unit: 'kN', sourceChannels: [6, 7] }
-        };
+    // Decode the samples from startOffset on until state.sampleIndex reaches this.sampleLimit.
+    // Reports reading progress when fileSize is given.
+    async streamSamples(startOffset, state, channelDataArrays, fileSize = null) {
+        const scaleFactors = this.getScaleFactors();
+        const stream = fs.createReadStream(this.filename, {
+            start: startOffset,
+            highWaterMark: this.CHUNK_SIZE
+        });
+        
+        let bytesRead = startOffset;
+        for await (let chunk of stream) {
+            bytesRead += chunk.length;
+            
+            if (state.leftover) {
+                chunk = Buffer.concat([state.leftover, chunk]);
+                state.leftover = null;
+            }
+            
+            const consumed = this.decodeSamples(chunk, state, channelDataArrays, scaleFactors);
+            if (consumed < chunk.length && state.sampleIndex < this.sampleLimit) {
+                state.leftover = chunk.subarray(consumed);
+            }
+            
+            if (fileSize !== null) {
+                this.emitProgress('reading', bytesRead, fileSize);
+            }
+            
+            if (state.sampleIndex >= this.sampleLimit) {
+                stream.destroy();
+                break;
+            }
+        }
+    }
 
-        // Compute each calculated channel
-        for (const [calcIndex, def] of Object.entries(calcChannelDefs)) {
-            try {
-                const result = this.computeSingleCalculatedChannel(parseInt(calcIndex), def);
-                if (result) {
-                    this.calculatedData[`calc_${calcIndex}`] = result;
-                }
-            } catch (error) {
-                console.error(`Error computing calculated channel ${calcIndex}:`, error);
+    // ADC -> physical conversion is linear, so one factor per channel is enough
+    getScaleFactors() {
+        const scaleFactors = [];
+        for (let channel = 0; channel < 8; channel++) {
+            scaleFactors.push(convertAdcToPhysical(
+                1,
+                this.metadata.maxAdcValue,
+                this.metadata.channelRanges[channel],
+                this.metadata.channelScaling[channel],
+                this.getVoltageRanges()
+            ));
+        }
+        return scaleFactors;
+    }
+
+    // Live tail mode: decode the samples appended to the file since the last read and extend
+    // the raw and calculated channels with them. Returns { previousSamples, samples, complete }
+    // or null when no complete sample was added.
+    async readAppended() {
+        const { bufferSize, downsampling } = this.metadata;
+        const previousSamples = this.sampleLimit;
+        const fileSize = await this.checkUnchangedHeader(this.dataOffset + this.valuesForSamples(previousSamples) * 2);
+        const samples = this.countCompleteSamples(Math.max(0, fileSize - this.dataOffset));
+        if (samples <= previousSamples) return null;
+        
+        // Sample boundaries are value boundaries, so decoding resumes at the first new sample
+        const previousPoints = downsampling.map(factor => Math.ceil(previousSamples / factor));
+        const channelDataArrays = downsampling.map((factor, channel) =>
+            new Float32Array(Math.ceil(samples / factor) - previousPoints[channel]));
+        const state = {
+            sampleIndex: previousSamples,
+            channel: 0,
+            channelIndices: new Array(8).fill(0),
+            leftover: null
+        };
+        this.sampleLimit = samples;
+        await this.streamSamples(this.dataOffset + this.valuesForSamples(previousSamples) * 2, state, channelDataArrays);
+        if (state.sampleIndex < samples) {
+            this.sampleLimit = previousSamples;
+            throw new Error(`${this.filename} became shorter while it was read`);
+        }
+        
+        this.diagnostics.availableBytes = fileSize - this.dataOffset;
+        this.diagnostics.completeSamples = samples;
+        this.diagnostics.truncated = samples < bufferSize;
+        
+        for (let channel = 0; channel < 8; channel++) {
+            const dtSeconds = (this.metadata.samplingInterval * downsampling[channel]) / 1e9;
+            const values = channelDataArrays[channel];
+            const time = new Float32Array(values.length);
+            for (let i = 0; i < values.length; i++) {
+                time[i] = (previousPoints[channel] + i) * dtSeconds;
             }
+            this.appendToChannel(this.rawData[`channel_${channel}`], time, values);
         }
         
-        console.log(`Computed ${Object.keys(this.calculatedData).length} calculated channels`);
+        this.appendCalculatedChannels();
+        return { previousSamples, samples, complete: samples === bufferSize };
     }
 
-    computeSingleCalculatedChannel(calcIndex, def) {
-        const sourceChannels = def.sourceChannels;
-        
-        // Validate source channels exist
-        for (const srcCh of sourceChannels) {
-            if (!this.rawData[`channel_${srcCh}`]) {
-                console.warn(`Source channel ${srcCh} not found for calculated channel ${calcIndex}`);
-                return null;
+    // Live tail mode: make sure the file still starts with the header read by readFile() and
+    // holds at least the bytes decoded so far, i.e. it was not replaced by a new recording.
+    // Returns the current file size.
+    async checkUnchangedHeader(bytesRead) {
+        const fileHandle = await fs.promises.open(this.filename, 'r');
+        try {
+            const { size: fileSize } = await fileHandle.stat();
+            const header = Buffer.alloc(this.headerBytes.length);
+            const { bytesRead: headerRead } = await fileHandle.read(header, 0, header.length, 0);
+            if (fileSize < bytesRead || headerRead < header.length || !header.equals(this.headerBytes)) {
+                throw new BinaryFormatError(
+                    BinaryFormatError.FILE_REPLACED,
+                    `${this.filename} was replaced or rewritten while it was followed`,
+                    { previousBytes: bytesRead, fileSize }
+                );
             }
+            return fileSize;
+        } finally {
+            await fileHandle.close();
         }
+    }
 
-        // Get the primary source channel (first one) for time reference
-        const primaryChannel = sourceChannels[0];
-        const primaryData = this.rawData[`channel_${primaryChannel}`];
-        const numPoints = primaryData.points;
-        
-        // Create arrays for calculated channel
-        const timeArray = new Float32Array(primaryData.time);
-        const valuesArray = new Float32Array(numPoints);
+    // True once the file holds every sample its header announces
+    isComplete() {
+        return this.sampleLimit === this.metadata.bufferSize;
+    }
+
+    // Extend a channel's time and values in place. The arrays become views of backing
+    // buffers that grow by half their size, so a growing file is not copied on every read.
+    appendToChannel(channelData, time, values) {
+        if (values.length === 0) return;
         
-        // Perform calculations based on channel index
-        switch (calcIndex) {
-            case 0: // UL3L1* = -channel[0] - channel[1]
-                this.calculateDifferential(valuesArray, 0, 1, numPoints, -1, -1);
-                break;
-                
-            case 1: // IL2GR1* = -channel[2] - channel[3]
-                this.calculateDifferential(valuesArray, 2, 3, numPoints, -1, -1);
-                break;
-                
-            case 2: // IL2GR2* = -channel[4] - channel[5]
-                this.calculateDifferential(valuesArray, 4, 5, numPoints, -1, -1);
-                break;
-                
-            case 3: // I_DC_GR1* = TRAFO_MULTIPLIER * (|ch[2]| + |ch[3]| + |IL2GR1*|)
-                this.calculateDCCurrent(valuesArray, 2, 3, 1, numPoints);
-                break;
-                
-            case 4: // I_DC_GR2* = TRAFO_MULTIPLIER * (|ch[4]| + |ch[5]| + |IL2GR2*|)
-                this.calculateDCCurrent(valuesArray, 4, 5, 2, numPoints);
-                break;
-                
-            case 5: // U_DC* = (|ch[0]| + |ch[1]| + |UL3L1*|) / TRAFO_MULTIPLIER
-                this.calculateDCVoltage(valuesArray, 0, 1, 0, numPoints);
-                break;
-                
-            case 6: // F_Schlitten* = ch[6] * 6.2832 - ch[7] * 5.0108
-                this.calculateForce(valuesArray, 6, 7, numPoints);
-                break;
-                
-            default:
-                console.warn(`Unknown calculated channel index: ${calcIndex}`);
-                return null;
+        const points = channelData.points + values.length;
+        let buffers = this.channelBuffers.get(channelData);
+        if (!buffers || buffers.values.length < points) {
+            const capacity = Math.max(points, Math.ceil(points * 1.5));
+            const grown = { time: new Float32Array(capacity), values: new Float32Array(capacity) };
+            grown.time.set(channelData.time.subarray(0, channelData.points));
+            grown.values.set(channelData.values.subarray(0, channelData.points));
+            buffers = grown;
+            this.channelBuffers.set(channelData, buffers);
         }
         
-        return {
-            time: timeArray,
-            values: valuesArray,
-            label: def.label,
-            unit: def.unit,
-            sourceChannels: sourceChannels,
-            points: numPoints,
-            downsampling: primaryData.downsampling
-        };
+        buffers.time.set(time, channelData.points);
+        buffers.values.set(values, channelData.points);
+        channelData.time = buffers.time.subarray(0, points);
+        channelData.values = buffers.values.subarray(0, points);
+        channelData.points = points;
     }
 
-    calculateDifferential(output, ch1, ch2, numPoints, coeff1, coeff2) {
-        const data1 = this.rawData[`channel_${ch1}`].values;
-        const data2 = this.rawData[`channel_${ch2}`].values;
+    // Extend every calculated channel over the points its time base gained. Expressions
+    // work sample by sample, so only the new points need to be evaluated.
+    appendCalculatedChannels() {
+        for (const def of this.calcConfig.getComputeOrder()) {
+            const channelData = this.calculatedData[def.id];
+            if (!channelData) continue;
+            
+            try {
+                this.computeSingleCalculatedChannel(def, this.calculatedData, channelData);
+            } catch (error) {
+                this.warn(`Error extending calculated channel ${def.id}: ${error.message}`);
+            }
+        }
+    }
+
+    // Decode as many complete Int16 values from chunk as possible, following the
+    // C# interleaving: for each sample j, every channel with j % downsampling === 0.
+    // Returns the number of bytes consumed.
+    decodeSamples(chunk, state, channelDataArrays, scaleFactors) {
+        const { downsampling } = this.metadata;
+        const sampleLimit = this.sampleLimit;
+        const channelIndices = state.channelIndices;
+        let sampleIndex = state.sampleIndex;
+        let channel = state.channel;
+        let offset = 0;
         
-        for (let i = 0; i < numPoints; i++) {
-            output[i] = coeff1 * data1[i] + coeff2 * data2[i];
+        while (sampleIndex < sampleLimit) {
+            // Skip channels that are not recorded at this sample
+            while (channel < 8 && sampleIndex % downsampling[channel] !== 0) {
+                channel++;
+            }
+            
+            if (channel === 8) {
+                channel = 0;
+                sampleIndex++;
+                continue;
+            }
+            
+            if (offset + 2 > chunk.length) break;
+            
+            const rawAdc = chunk.readInt16LE(offset);
+            offset += 2;
+            
+            channelDataArrays[channel][channelIndices[channel]++] = rawAdc * scaleFactors[channel];
+            channel++;
         }
+        
+        state.sampleIndex = sampleIndex;
+        state.channel = channel;
+        return offset;
+    }
+
+    emitProgress(phase, bytesRead, totalBytes) {
+        this.emit('progress', {
+            phase,
+            bytesRead,
+            totalBytes,
+            percent: totalBytes > 0 ? Math.min(100, (bytesRead / totalBytes) * 100) : 100
+        });
     }
 
-    calculateDCCurrent(output, ch1, ch2, diffChannelIndex, numPoints) {
-        const data1 = this.rawData[`channel_${ch1}`].values;
-        const data2 = this.rawData[`channel_${ch2}`].values;
-        const diffData = this.calculatedData[`calc_${diffChannelIndex}`]?.values;
+    computeCalculatedChannels() {
+        const computed = {};
         
-        if (!diffData) {
-            console.warn(`Differential channel ${diffChannelIndex} not computed yet`);
-            return;
+        // Compute in dependency order so referenced calculated channels exist first
+        for (const def of this.calcConfig.getComputeOrder()) {
+            try {
+                const result = this.computeSingleCalculatedChannel(def, computed);
+                if (result) {
+                    computed[def.id] = result;
+                }
+            } catch (error) {
+                this.warn(`Error computing calculated channel ${def.id}: ${error.message}`);
+            }
         }
         
-        for (let i = 0; i < numPoints; i++) {
-            const sum = Math.abs(data1[i]) + Math.abs(data2[i]) + Math.abs(diffData[i]);
-            output[i] = this.TRAFO_STROM_MULTIPLIER * sum;
+        // Store in configuration order, which is also the display order
+        this.calculatedData = {};
+        for (const def of this.calcConfig.getChannels()) {
+            if (computed[def.id]) {
+                this.calculatedData[def.id] = computed[def.id];
+            }
         }
+        
+        this.log(`Computed ${Object.keys(this.calculatedData).length} calculated channels`);
     }
 
-    calculateDCVoltage(output, ch1, ch2, diffChannelIndex, numPoints) {
-        const data1 = this.rawData[`channel_${ch1}`].values;
-        const data2 = this.rawData[`channel_${ch2}`].values;
-        const diffData = this.calculatedData[`calc_${diffChannelIndex}`]?.values;
+    // Compute a calculated channel, or with existing given extend it to the current
+    // length of its time base
+    computeSingleCalculatedChannel(def, computed, existing = null) {
+        const constants = this.getCalculationConstants();
+        const references = def.expression.getReferences();
         
-        if (!diffData) {
-            console.warn(`Differential channel ${diffChannelIndex} not computed yet`);
-            return;
+        // Look up a referenced raw or calculated channel
+        const findChannel = (name) => {
+            const reference = this.calcConfig.classifyReference(name);
+            if (!reference) return null;
+            if (reference.kind === 'raw') return this.rawData[`channel_${reference.index}`] || null;
+            if (reference.kind === 'calc') return computed[reference.id] || null;
+            return null;
+        };
+        
+        // The time base is explicit or the first referenced channel
+        const timeBaseName = def.timeBase || references.find(name => findChannel(name));
+        const primaryData = timeBaseName ? findChannel(timeBaseName) : null;
+        if (!primaryData) {
+            this.warn(`No source channel available for calculated channel ${def.id}`);
+            return null;
         }
         
-        for (let i = 0; i < numPoints; i++) {
-            const sum = Math.abs(data1[i]) + Math.abs(data2[i]) + Math.abs(diffData[i]);
-            output[i] = sum / this.TRAFO_STROM_MULTIPLIER;
+        for (const name of references) {
+            const reference = this.calcConfig.classifyReference(name);
+            if (reference.kind !== 'constant' && !findChannel(name)) {
+                this.warn(`Source ${name} not found for calculated channel ${def.id}`);
+                return null;
+            }
         }
+        
+        const from = existing ? existing.points : 0;
+        const numPoints = primaryData.points;
+        const values = def.expression.evaluate((name) => {
+            if (Object.prototype.hasOwnProperty.call(constants, name)) return constants[name];
+            return this.alignToTimeBase(findChannel(name), primaryData, from);
+        }, numPoints - from);
+        
+        if (existing) {
+            this.appendToChannel(existing, primaryData.time.subarray(from, numPoints), values);
+            return existing;
+        }
+        
+        const sourceChannels = references
+            .map(name => this.calcConfig.classifyReference(name))
+            .filter(reference => reference.kind === 'raw')
+            .map(reference => reference.index);
+        
+        return {
+            time: new Float32Array(primaryData.time),
+            values,
+            label: def.label,
+            unit: def.unit,
+            expression: def.expression.source,
+            sourceChannels,
+            points: numPoints,
+            downsampling: primaryData.downsampling,
+            defaultDisplay: def.defaultDisplay,
+            showInControls: def.showInControls,
+            color: def.color
+        };
     }
 
-    calculateForce(output, ch1, ch2, numPoints) {
-        const data1 = this.rawData[`channel_${ch1}`].values;
-        const data2 = this.rawData[`channel_${ch2}`].values;
+    // Values of a channel on the sample grid of the time base channel (sample-and-hold
+    // when the downsampling factors differ), from time base point `from` on
+    alignToTimeBase(channelData, primaryData, from = 0) {
+        if (channelData.downsampling === primaryData.downsampling && channelData.points >= primaryData.points) {
+            return from ? channelData.values.subarray(from) : channelData.values;
+        }
         
-        for (let i = 0; i < numPoints; i++) {
-            output[i] = data1[i] * this.FORCE_COEFF_1 - data2[i] * this.FORCE_COEFF_2;
+        const ratio = primaryData.downsampling / channelData.downsampling;
+        const aligned = new Float64Array(primaryData.points - from);
+        const lastIndex = channelData.points - 1;
+        for (let i = from; i < primaryData.points; i++) {
+            aligned[i - from] = channelData.values[Math.min(lastIndex, Math.floor(i * ratio))];
         }
+        return aligned;
     }
 
     getMetadata() {
         return this.metadata;
     }
 
+    getDiagnostics() {
+        return this.diagnostics;
+    }
+
+    getCalibrationProfile() {
+        return this.metadata.calibrationProfile;
+    }
+
     getRawData() {
         return this.rawData;
     }
@@ -425,11 +828,9 @@ class BinaryReader {
             }
         }
 
-        // Add calculated channels
-        for (let i = 0; i < 7; i++) {
-            if (this.calculatedData[`calc_${i}`]) {
-                allChannels.calculated[i] = this.calculatedData[`calc_${i}`];
-            }
+        // Add calculated channels, keyed by the part of the id after "calc_"
+        for (const [channelId, channelData] of Object.entries(this.calculatedData)) {
+            allChannels.calculated[channelId.substring('calc_'.length)] = channelData;
         }
 
         return allChannels;
@@ -0,0 +1,65 @@
+// Binary transport for channel data (Accept: application/octet-stream).
+//
+// Layout (little-endian):
+//   0   'SBPF'                      magic
+//   4   uint16 version, uint16 0
+//   8   uint32 headerLength          UTF-8 JSON header, padded with spaces to a multiple of 4
+//   12  JSON header                  { ...envelope, channels: [{ id, points, timeOffset, valuesOffset, meta } | { id, error }] }
+//   ..  payload                      Float32 time and values per channel; offsets are relative to the payload start
+//
+// Every Float32 block starts on a 4-byte boundary, so clients can use
+// new Float32Array(buffer, payloadStart + offset, points) without copying.
+
+const CONTENT_TYPE = 'application/octet-stream';
+const MAGIC = 'SBPF';
+const VERSION = 1;
+
+// channels: [{ id, time: Float32Array, values: Float32Array, meta }] or [{ id, error }]
+function encodeChannelPayload(channels, envelope = {}) {
+    let payloadLength = 0;
+    const headerChannels = channels.map(channel => {
+        if (channel.error) {
+            return { id: channel.id, error: channel.error };
+        }
+        
+        const points = channel.time.length;
+        const entry = {
+            id: channel.id,
+            points,
+            timeOffset: payloadLength,
+            valuesOffset: payloadLength + points * 4,
+            meta: channel.meta
+        };
+        payloadLength += points * 8;
+        return entry;
+    });
+    
+    const json = Buffer.from(JSON.stringify({ ...envelope, channels: headerChannels }), 'utf8');
+    const headerLength = Math.ceil(json.length / 4) * 4;
+    const payloadStart = 12 + headerLength;
+    
+    const buffer = Buffer.alloc(payloadStart + payloadLength);
+    buffer.write(MAGIC, 0, 'ascii');
+    buffer.writeUInt16LE(VERSION, 4);
+    buffer.writeUInt32LE(headerLength, 8);
+    json.copy(buffer, 12);
+    buffer.fill(' ', 12 + json.length, payloadStart);
+    
+    headerChannels.forEach((entry, i) => {
+        if (entry.error) return;
+        writeFloat32(buffer, payloadStart + entry.timeOffset, channels[i].time);
+        writeFloat32(buffer, payloadStart + entry.valuesOffset, channels[i].values);
+    });
+    
+    return buffer;
+}
+
+function writeFloat32(buffer, offset, array) {
+    const source = array instanceof Float32Array ? array : Float32Array.from(array);
+    Buffer.from(source.buffer, source.byteOffset, source.byteLength).copy(buffer, offset);
+}
+
+module.exports = {
+    CONTENT_TYPE,
+    encodeChannelPayload
+};
@@ -0,0 +1,256 @@
+const fs = require('fs');
+const { convertAdcToPhysical } = require('./utils');
+const BinaryFormatError = require('./BinaryFormatError');
+
+// .NET DateTime constants
+const DOTNET_EPOCH_TICKS = 621355968000000000n; // 1970-01-01 in .NET ticks
+const KIND_UTC = 0x4000000000000000n;
+const KIND_LOCAL = 0x8000000000000000n;
+
+// Writes measurements in the same C#-compatible format that BinaryReader parses
+class BinaryWriter {
+    constructor(filename, options = {}) {
+        this.filename = filename;
+        
+        // Samples are written in chunks of CHUNK_SIZE bytes
+        this.CHUNK_SIZE = options.chunkSize || 4 * 1024 * 1024;
+        this.log = options.log || console.log; // progress messages, see BinaryReader
+    }
+
+    // Encode a string like C# BinaryWriter.Write(string): 7-bit length prefix + UTF-8
+    encodeCSharpString(value) {
+        const bytes = Buffer.from(value || '', 'utf8');
+        const prefix = [];
+        let length = bytes.length;
+        
+        do {
+            let byteVal = length & 0x7F;
+            length >>>= 7;
+            if (length > 0) byteVal |= 0x80;
+            prefix.push(byteVal);
+        } while (length > 0);
+        
+        return Buffer.concat([Buffer.from(prefix), bytes]);
+    }
+
+    // Convert Unix milliseconds to .NET DateTime.ToBinary() format
+    convertUnixMsToBinaryTimestamp(unixMs, kind = 'utc') {
+        const ticks = BigInt(Math.round(unixMs)) * 10000n + DOTNET_EPOCH_TICKS;
+        
+        switch (kind) {
+            case 'utc':
+                return ticks | KIND_UTC;
+            case 'local':
+                // Local kind stores UTC ticks with the top bit set (signed Int64)
+                return BigInt.asIntN(64, ticks | KIND_LOCAL);
+            default:
+                return ticks; // Unspecified
+        }
+    }
+
+    // Build the header and metadata block
+    buildHeader(metadata, bufferSize) {
+        const startTimeBinary = metadata.startTimeBinary !== undefined
+            ? BigInt(metadata.startTimeBinary)
+            : this.convertUnixMsToBinaryTimestamp(metadata.binaryUnixMs || Date.now());
+        
+        const fixed = Buffer.alloc(4 + 8 + 2 + 8 * 4 + 8 * 2 + 4 + 8 * 4);
+        let offset = 0;
+        
+        fixed.writeUInt32LE(bufferSize, offset); offset += 4;
+        fixed.writeBigInt64LE(startTimeBinary, offset); offset += 8;
+        fixed.writeInt16LE(metadata.maxAdcValue, offset); offset += 2;
+        
+        for (let i = 0; i < 8; i++) {
+            fixed.writeInt32LE(metadata.channelRanges[i], offset);
+            offset += 4;
+        }
+        
+        for (let i = 0; i < 8; i++) {
+            fixed.writeInt16LE(metadata.channelScaling[i], offset);
+            offset += 2;
+        }
+        
+        fixed.writeUInt32LE(metadata.samplingInterval, offset); offset += 4;
+        
+        for (let i = 0; i < 8; i++) {
+            fixed.writeInt32LE(metadata.downsampling[i], offset);
+            offset += 4;
+        }
+        
+        const parts = [this.encodeCSharpString(metadata.header), fixed];
+        for (let i = 0; i < 8; i++) parts.push(this.encodeCSharpString(metadata.units[i]));
+        for (let i = 0; i < 8; i++) parts.push(this.encodeCSharpString(metadata.labels[i]));
+        
+        return Buffer.concat(parts);
+    }
+
+    // Work out the buffer size (number of base samples) from the per-channel point counts
+    resolveBufferSize(metadata, channelValues) {
+        let bufferSize = metadata.bufferSize;
+        
+        if (bufferSize === undefined) {
+            bufferSize = Infinity;
+            for (let channel = 0; channel < 8; channel++) {
+                bufferSize = Math.min(bufferSize, channelValues[channel].length * metadata.downsampling[channel]);
+            }
+        }
+        
+        // Every channel must have exactly one value per recorded sample
+        for (let channel = 0; channel < 8; channel++) {
+            const expected = Math.ceil(bufferSize / metadata.downsampling[channel]);
+            if (channelValues[channel].length < expected) {
+                throw new BinaryFormatError(BinaryFormatError.INVALID_CHANNEL_DATA,
+                    `Channel ${channel} has ${channelValues[channel].length} values, ${expected} needed for ${bufferSize} samples`,
+                    { channel, points: channelValues[channel].length, expected });
+            }
+        }
+        
+        return bufferSize;
+    }
+
+    validateMetadata(metadata, channelValues) {
+        if (!Array.isArray(channelValues) || channelValues.length !== 8) {
+            throw new BinaryFormatError(BinaryFormatError.INVALID_CHANNEL_DATA,
+                'Exactly 8 channel value arrays are required', {});
+        }
+        
+        for (let channel = 0; channel < 8; channel++) {
+            const factor = metadata.downsampling[channel];
+            if (!Number.isInteger(factor) || factor < 1) {
+                throw new BinaryFormatError(BinaryFormatError.INVALID_DOWNSAMPLING,
+                    `Invalid downsampling on channel ${channel}: ${factor}`, { channel, downsampling: factor });
+            }
+        }
+        
+        if (!(metadata.maxAdcValue > 0)) {
+            throw new BinaryFormatError(BinaryFormatError.INVALID_MAX_ADC,
+                `Invalid max ADC value: ${metadata.maxAdcValue}`, { maxAdcValue: metadata.maxAdcValue });
+        }
+        
+        if (!(metadata.samplingInterval > 0)) {
+            throw new BinaryFormatError(BinaryFormatError.INVALID_SAMPLING_INTERVAL,
+                `Invalid sampling interval: ${metadata.samplingInterval}`, { samplingInterval: metadata.samplingInterval });
+        }
+    }
+
+    // Write a complete file.
+    // channelValues: 8 arrays of physical values, or raw ADC counts when options.raw is set.
+    // options.voltageRanges must match the table the values were converted with (defaults to VOLTAGE_RANGES).
+    async writeFile(metadata, channelValues, options = {}) {
+        this.log(`Writing binary file: ${this.filename}`);
+        
+        this.validateMetadata(metadata, channelValues);
+        const bufferSize = this.resolveBufferSize(metadata, channelValues);
+        const downsampling = metadata.downsampling;
+        
+        // Inverse of the linear ADC -> physical conversion
+        const scaleFactors = [];
+        for (let channel = 0; channel < 8; channel++) {
+            const scale = options.raw ? 1 : convertAdcToPhysical(
+                1,
+                metadata.maxAdcValue,
+                metadata.channelRanges[channel],
+                metadata.channelScaling[channel],
+                options.voltageRanges
+            );
+            if (scale === 0) {
+                throw new BinaryFormatError(BinaryFormatError.INVALID_CHANNEL_DATA,
+                    `Channel ${channel} has zero scaling - physical values cannot be converted back to ADC counts`,
+                    { channel });
+            }
+            scaleFactors.push(scale);
+        }
+        
+        const fileHandle = await fs.promises.open(this.filename, 'w');
+        try {
+            await fileHandle.write(this.buildHeader(metadata, bufferSize));
+            
+            // Interleave exactly like the C# writer: for each sample j, every channel with j % downsampling === 0
+            const chunk = Buffer.alloc(this.CHUNK_SIZE - (this.CHUNK_SIZE % 2));
+            const channelIndices = new Array(8).fill(0);
+            let chunkOffset = 0;
+            
+            for (let j = 0; j < bufferSize; j++) {
+                for (let channel = 0; channel < 8; channel++) {
+                    if (j % downsampling[channel] !== 0) continue;
+                    
+                    const value = channelValues[channel][channelIndices[channel]++];
+                    const rawAdc = Math.max(-32768, Math.min(32767, Math.round(value / scaleFactors[channel])));
+                    
+                    chunk.writeInt16LE(rawAdc || 0, chunkOffset);
+                    chunkOffset += 2;
+                    
+                    if (chunkOffset === chunk.length) {
+                        await fileHandle.write(chunk, 0, chunkOffset);
+                        chunkOffset = 0;
+                    }
+                }
+            }
+            
+            if (chunkOffset > 0) {
+                await fileHandle.write(chunk, 0, chunkOffset);
+            }
+        } finally {
+            await fileHandle.close();
+        }
+        
+        this.log(`Wrote ${bufferSize.toLocaleString()} samples to ${this.filename}`);
+        return { bufferSize };
+    }
+
+    // Write the raw channels of a loaded BinaryReader, optionally cropped to [startTime, endTime] seconds.
+    // The crop start is aligned so that the first sample records every channel, like the original file.
+    async writeFromReader(reader, options = {}) {
+        const metadata = reader.getMetadata();
+        const rawData = reader.getRawData();
+        const { samplingInterval, downsampling } = metadata;
+        const totalSamples = reader.getDiagnostics().completeSamples ?? metadata.bufferSize;
+        
+        const sampleSeconds = samplingInterval / 1e9;
+        const alignment = downsampling.reduce((acc, factor) => lcm(acc, factor), 1);
+        
+        let firstSample = 0;
+        if (options.startTime !== undefined) {
+            firstSample = Math.floor(Math.max(0, options.startTime) / sampleSeconds / alignment) * alignment;
+        }
+        
+        let endSample = totalSamples;
+        if (options.endTime !== undefined) {
+            endSample = Math.min(totalSamples, Math.floor(options.endTime / sampleSeconds) + 1);
+        }
+        
+        if (endSample <= firstSample) {
+            throw new BinaryFormatError(BinaryFormatError.INVALID_CHANNEL_DATA,
+                `Empty time window: ${options.startTime}s - ${options.endTime}s`, options);
+        }
+        
+        const channelValues = [];
+        for (let channel = 0; channel < 8; channel++) {
+            const values = rawData[`channel_${channel}`].values;
+            const start = firstSample / downsampling[channel];
+            const end = Math.ceil(endSample / downsampling[channel]);
+            channelValues.push(values.subarray(start, end));
+        }
+        
+        // Shift the start timestamp by the cropped samples (1 tick = 100 ns); kind bits are untouched
+        const offsetTicks = BigInt(Math.round(firstSample * samplingInterval / 100));
+        
+        return this.writeFile({
+            ...metadata,
+            bufferSize: endSample - firstSample,
+            startTimeBinary: metadata.startTimeBinary + offsetTicks
+        }, channelValues, { voltageRanges: reader.getVoltageRanges() });
+    }
+}
+
+function gcd(a, b) {
+    while (b) [a, b] = [b, a % b];
+    return a;
+}
+
+function lcm(a, b) {
+    return (a / gcd(a, b)) * b;
+}
+
+module.exports = BinaryWriter;
@@ -0,0 +1,145 @@
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const { Expression, ExpressionError } = require('./Expression');
+
+// Raw channels can be referenced as ch0..ch7 or channel_0..channel_7
+const RAW_REFERENCE = /^(?:ch|channel_)([0-7])$/;
+const CALC_ID = /^calc_[A-Za-z0-9_]+$/;
+
+// Calculated channel definitions loaded from a JSON or YAML file.
+//
+//   constants: { NAME: number, ... }
+//   channels:
+//     - id: calc_5              # must start with calc_
+//       label: U_DC*
+//       unit: V
+//       expression: (abs(ch0) + abs(ch1) + abs(calc_0)) / TRAFO_STROM_MULTIPLIER
+//       timeBase: ch0           # optional, defaults to the first referenced channel
+//       defaultDisplay: true    # optional, plotted on load
+//       showInControls: false   # optional, hide from the channel list
+//       color: '#e74c3c'        # optional
+class CalculatedChannelConfig {
+    constructor(definition, source = 'inline') {
+        this.source = source;
+        this.constants = { ...(definition.constants || {}) };
+        this.channels = this.parseChannels(definition.channels);
+        this.order = this.resolveOrder();
+    }
+
+    static async load(filePath = CalculatedChannelConfig.DEFAULT_PATH) {
+        const text = await fs.promises.readFile(filePath, 'utf8');
+        const extension = path.extname(filePath).toLowerCase();
+        
+        let definition;
+        try {
+            definition = (extension === '.yaml' || extension === '.yml') ? yaml.load(text) : JSON.parse(text);
+        } catch (error) {
+            throw new ExpressionError(`Could not parse ${filePath}: ${error.message}`, { source: filePath });
+        }
+        
+        return new CalculatedChannelConfig(definition || {}, filePath);
+    }
+
+    parseChannels(channels) {
+        if (!Array.isArray(channels)) {
+            throw new ExpressionError(`${this.source}: "channels" must be a list`);
+        }
+        
+        const seen = new Set();
+        return channels.map((channel, position) => {
+            const where = `${this.source}: channel #${position + 1}`;
+            
+            if (!channel || !CALC_ID.test(channel.id)) {
+                throw new ExpressionError(`${where}: id must match calc_<name>, got "${channel && channel.id}"`);
+            }
+            if (seen.has(channel.id)) {
+                throw new ExpressionError(`${where}: duplicate id ${channel.id}`);
+            }
+            seen.add(channel.id);
+            
+            if (typeof channel.label !== 'string' || typeof channel.unit !== 'string') {
+                throw new ExpressionError(`${where} (${channel.id}): label and unit are required`);
+            }
+            
+            let expression;
+            try {
+                expression = new Expression(channel.expression);
+            } catch (error) {
+                throw new ExpressionError(`${where} (${channel.id}): ${error.message}`, error.details);
+            }
+            
+            return {
+                id: channel.id,
+                label: channel.label,
+                unit: channel.unit,
+                expression,
+                timeBase: channel.timeBase || null,
+                defaultDisplay: !!channel.defaultDisplay,
+                showInControls: channel.showInControls !== false,
+                color: channel.color || null
+            };
+        });
+    }
+
+    // Classify a reference as raw channel, calculated channel or constant
+    classifyReference(name) {
+        const rawMatch = RAW_REFERENCE.exec(name);
+        if (rawMatch) return { kind: 'raw', index: parseInt(rawMatch[1]) };
+        if (this.channels.some(channel => channel.id === name)) return { kind: 'calc', id: name };
+        if (Object.prototype.hasOwnProperty.call(this.constants, name)) return { kind: 'constant' };
+        return null;
+    }
+
+    // Topologically sort channels so every channel comes after the ones it references
+    resolveOrder() {
+        const byId = new Map(this.channels.map(channel => [channel.id, channel]));
+        const order = [];
+        const state = new Map(); // id -> 'visiting' | 'done'
+        
+        const visit = (channel, chain) => {
+            if (state.get(channel.id) === 'done') return;
+            if (state.get(channel.id) === 'visiting') {
+                throw new ExpressionError(`${this.source}: circular reference ${[...chain, channel.id].join(' -> ')}`);
+            }
+            state.set(channel.id, 'visiting');
+            
+            const references = channel.expression.getReferences();
+            if (channel.timeBase) references.push(channel.timeBase);
+            
+            for (const name of references) {
+                const reference = this.classifyReference(name);
+                if (!reference) {
+                    throw new ExpressionError(`${this.source}: ${channel.id} references unknown name '${name}'`);
+                }
+                if (reference.kind === 'calc') {
+                    visit(byId.get(reference.id), [...chain, channel.id]);
+                }
+            }
+            
+            state.set(channel.id, 'done');
+            order.push(channel);
+        };
+        
+        this.channels.forEach(channel => visit(channel, []));
+        return order;
+    }
+
+    // Channels in dependency order
+    getComputeOrder() {
+        return this.order;
+    }
+
+    // Channels in file order (used for display)
+    getChannels() {
+        return this.channels;
+    }
+
+    getConstants() {
+        return this.constants;
+    }
+}
+
+CalculatedChannelConfig.DEFAULT_PATH = path.join(__dirname, '..', 'config', 'calculated-channels.json');
+
+module.exports = CalculatedChannelConfig;
@@ -0,0 +1,178 @@
+const fs = require('fs');
+const path = require('path');
+const { VOLTAGE_RANGES } = require('./utils');
+
+// Raised when a profile is requested by a name that does not exist
+class UnknownProfileError extends Error {
+    constructor(name) {
+        super(`Unknown calibration profile: ${name}`);
+        this.name = 'UnknownProfileError';
+        this.profileName = name;
+    }
+}
+
+// Named calibration profiles: transformer ratio, force coefficients and the
+// ADC voltage range table, selected per file explicitly or by header/date.
+//
+//   profiles:
+//     - name: rig-2                   # unique
+//       description: ...
+//       headerPattern: "^Rig ?2"      # optional regex matched against the file header
+//       validFrom: 2025-01-01         # optional, compared with the file start time
+//       validTo: 2025-12-31           # optional, inclusive
+//       constants: { TRAFO_STROM_MULTIPLIER: 40, ... }   # override calculated channel constants
+//       voltageRanges: { "8": 5.0, ... }                 # override entries of VOLTAGE_RANGES
+class CalibrationProfiles {
+    constructor(definition, source = 'inline') {
+        this.source = source;
+        this.profiles = this.parseProfiles(definition.profiles || []);
+    }
+
+    static async load(filePath = CalibrationProfiles.DEFAULT_PATH) {
+        const text = await fs.promises.readFile(filePath, 'utf8');
+        
+        let definition;
+        try {
+            definition = JSON.parse(text);
+        } catch (error) {
+            throw new Error(`Could not parse ${filePath}: ${error.message}`);
+        }
+        
+        return new CalibrationProfiles(definition, filePath);
+    }
+
+    parseProfiles(profiles) {
+        if (!Array.isArray(profiles)) {
+            throw new Error(`${this.source}: "profiles" must be a list`);
+        }
+        
+        const names = new Set();
+        return profiles.map((profile, position) => {
+            const where = `${this.source}: profile #${position + 1}`;
+            
+            if (!profile || typeof profile.name !== 'string' || !profile.name) {
+                throw new Error(`${where}: name is required`);
+            }
+            if (names.has(profile.name)) {
+                throw new Error(`${where}: duplicate name ${profile.name}`);
+            }
+            names.add(profile.name);
+            
+            let headerPattern = null;
+            if (profile.headerPattern) {
+                try {
+                    headerPattern = new RegExp(profile.headerPattern, 'i');
+                } catch (error) {
+                    throw new Error(`${where} (${profile.name}): invalid headerPattern: ${error.message}`);
+                }
+            }
+            
+            const validFrom = parseDate(profile.validFrom, `${where} (${profile.name}) validFrom`);
+            let validTo = parseDate(profile.validTo, `${where} (${profile.name}) validTo`);
+            
+            // A date-only validTo includes the whole day
+            if (validTo !== null && /^\d{4}-\d{2}-\d{2}$/.test(String(profile.validTo))) {
+                validTo += 24 * 3600 * 1000 - 1;
+            }
+            
+            for (const [name, value] of Object.entries(profile.constants || {})) {
+                if (typeof value !== 'number') {
+                    throw new Error(`${where} (${profile.name}): constant ${name} must be a number`);
+                }
+            }
+            
+            return {
+                name: profile.name,
+                description: profile.description || '',
+                headerPattern,
+                validFrom,
+                validTo,
+                constants: { ...(profile.constants || {}) },
+                voltageRanges: { ...VOLTAGE_RANGES, ...(profile.voltageRanges || {}) }
+            };
+        });
+    }
+
+    getProfile(name) {
+        return this.profiles.find(profile => profile.name === name) || null;
+    }
+
+    isValidAt(profile, unixMs) {
+        // Files without a usable start time cannot be checked against the validity range
+        if (!unixMs) return true;
+        if (profile.validFrom !== null && unixMs < profile.validFrom) return false;
+        if (profile.validTo !== null && unixMs > profile.validTo) return false;
+        return true;
+    }
+
+    // Pick the profile for a file. An explicit name always wins; otherwise the first
+    // profile whose header pattern matches and whose validity range contains the file
+    // start, then the first valid profile without a pattern.
+    // Returns { profile, matchedBy, warnings }.
+    select(header, unixMs, explicitName = null) {
+        const warnings = [];
+        
+        if (explicitName) {
+            const profile = this.getProfile(explicitName);
+            if (!profile) {
+                throw new UnknownProfileError(explicitName);
+            }
+            if (!this.isValidAt(profile, unixMs)) {
+                warnings.push(`Calibration profile ${profile.name} is not valid for a recording from ${new Date(unixMs).toISOString()}`);
+            }
+            return { profile, matchedBy: 'explicit', warnings };
+        }
+        
+        const valid = this.profiles.filter(profile => this.isValidAt(profile, unixMs));
+        
+        const byHeader = valid.find(profile => profile.headerPattern && profile.headerPattern.test(header || ''));
+        if (byHeader) {
+            return { profile: byHeader, matchedBy: 'header', warnings };
+        }
+        
+        const fallback = valid.find(profile => !profile.headerPattern);
+        if (fallback) {
+            return { profile: fallback, matchedBy: 'default', warnings };
+        }
+        
+        warnings.push('No calibration profile matches this file, using built-in constants');
+        return { profile: null, matchedBy: 'none', warnings };
+    }
+
+    // Summary for API responses and exports
+    describe(selection) {
+        const { profile, matchedBy } = selection;
+        if (!profile) {
+            return { name: null, matchedBy };
+        }
+        
+        return {
+            name: profile.name,
+            description: profile.description,
+            matchedBy,
+            headerPattern: profile.headerPattern ? profile.headerPattern.source : null,
+            validFrom: profile.validFrom !== null ? new Date(profile.validFrom).toISOString() : null,
+            validTo: profile.validTo !== null ? new Date(profile.validTo).toISOString() : null,
+            constants: profile.constants,
+            voltageRanges: profile.voltageRanges
+        };
+    }
+
+    list() {
+        return this.profiles.map(profile => this.describe({ profile, matchedBy: null }));
+    }
+}
+
+function parseDate(value, what) {
+    if (value === null || value === undefined || value === '') return null;
+    const time = Date.parse(value);
+    if (Number.isNaN(time)) {
+        throw new Error(`${what}: invalid date "${value}"`);
+    }
+    return time;
+}
+
+CalibrationProfiles.UnknownProfileError = UnknownProfileError;
+CalibrationProfiles.DEFAULT_PATH = path.join(__dirname, '..', 'config', 'calibration-profiles.json');
+
+module.exports = CalibrationProfiles;
@@ -0,0 +1,212 @@
+const { describeTimestamp, writeChunk } = require('./utils');
+
+// Exports channel data as delimited text (CSV/TSV) on a shared time column.
+// Annotations (see AnnotationStore) within the window are listed in the metadata comments.
+class DataExporter {
+    constructor(processor, metadata, filename, annotations = []) {
+        this.processor = processor;
+        this.metadata = metadata;
+        this.filename = filename;
+        this.annotations = annotations;
+        
+        this.DELIMITERS = { csv: ',', tsv: '\t' };
+        this.FILL_MODES = ['empty', 'hold', 'linear'];
+        this.ROWS_PER_WRITE = 5000;
+    }
+
+    // Validate options and resolve the time grid; throws on invalid input
+    prepare(channelIds, options = {}) {
+        const format = (options.format || 'csv').toLowerCase();
+        if (!this.DELIMITERS[format]) {
+            throw new Error(`Unsupported export format: ${format}`);
+        }
+        
+        if (!Array.isArray(channelIds) || channelIds.length === 0) {
+            throw new Error('At least one channel is required');
+        }
+        
+        const channels = channelIds.map(channelId => {
+            const channelData = this.processor.getChannelById(channelId);
+            if (!channelData) throw new Error(`Channel ${channelId} not found`);
+            return { id: channelId, data: channelData };
+        });
+        
+        const step = options.step ? parseFloat(options.step) : null;
+        if (step !== null && !(step > 0)) {
+            throw new Error(`Invalid resampling step: ${options.step}`);
+        }
+        
+        // Full resolution leaves gaps for slower channels, resampling interpolates by default
+        const fill = options.fill || (step ? 'linear' : 'empty');
+        if (!this.FILL_MODES.includes(fill)) {
+            throw new Error(`Unsupported fill mode: ${fill}`);
+        }
+        
+        const timeRange = this.processor.getTimeRange();
+        const startTime = Math.max(timeRange.min, options.start !== undefined ? parseFloat(options.start) : timeRange.min);
+        const endTime = Math.min(timeRange.max, options.end !== undefined ? parseFloat(options.end) : timeRange.max);
+        if (!(endTime >= startTime)) {
+            throw new Error(`Invalid time window: ${options.start} - ${options.end}`);
+        }
+        
+        return {
+            format,
+            delimiter: this.DELIMITERS[format],
+            channels,
+            step,
+            fill,
+            startTime,
+            endTime,
+            includeMetadata: options.metadata !== false
+        };
+    }
+
+    // Suggested download name, e.g. "J25-07-30(3)_0.000-12.500s.csv"
+    getDownloadName(prepared) {
+        const base = this.filename.replace(/\.bin$/i, '');
+        return `${base}_${prepared.startTime.toFixed(3)}-${prepared.endTime.toFixed(3)}s.${prepared.format}`;
+    }
+
+    // Comment lines with file and channel metadata
+    buildMetadataLines(prepared) {
+        const summary = this.processor.getMetadataSummary();
+        const allChannels = [...summary.channels, ...summary.calculatedChannels];
+        
+        const lines = [
+            `# file: ${this.filename}`,
+            `# header: ${toCommentText(this.metadata.header)}`,
+            `# start: ${describeTimestamp(this.metadata).iso || 'unknown'}`,
+            `# samplingRate: ${summary.samplingRate} Hz`,
+            `# window: ${prepared.startTime} - ${prepared.endTime} s`,
+            `# resolution: ${prepared.step ? `${prepared.step} s (${prepared.fill})` : `full (${prepared.fill})`}`
+        ];
+        
+        const calibration = this.metadata.calibrationProfile;
+        if (calibration && calibration.name) {
+            const constants = Object.entries(calibration.constants).map(([name, value]) => `${name}=${value}`);
+            lines.push(`# calibration: ${calibration.name} (${calibration.matchedBy}); ${constants.join('; ')}`);
+        } else {
+            lines.push('# calibration: none');
+        }
+        
+        for (const channel of prepared.channels) {
+            const info = allChannels.find(ch => ch.id === channel.id);
+            lines.push(`# channel: ${channel.id}; label=${info.label}; unit=${info.unit}; type=${info.type}; ` +
+                `samplingInterval=${this.getChannelStep(channel.data)} s`);
+        }
+        
+        for (const annotation of this.annotations) {
+            const end = annotation.endTime !== undefined ? annotation.endTime : annotation.time;
+            if (annotation.time > prepared.endTime || end < prepared.startTime) continue;
+            
+            const time = annotation.type === 'span' ? `${annotation.time} - ${annotation.endTime} s` : `${annotation.time} s`;
+            lines.push(`# annotation: ${annotation.type} ${time}; text=${toCommentText(annotation.text)}` +
+                (annotation.author ? `; author=${toCommentText(annotation.author)}` : ''));
+        }
+        
+        return lines;
+    }
+
+    getChannelStep(channelData) {
+        return (this.metadata.samplingInterval * (channelData.downsampling || 1)) / 1e9;
+    }
+
+    // Stream the export to a writable stream (e.g. an HTTP response).
+    // Stops early when the stream is destroyed, e.g. by an aborted download.
+    async writeDelimited(stream, prepared) {
+        const { delimiter, channels, fill } = prepared;
+        const lines = prepared.includeMetadata ? this.buildMetadataLines(prepared) : [];
+        
+        const columns = ['Time [s]', ...channels.map(ch => `${ch.data.label} [${ch.data.unit}]`)];
+        lines.push(columns.map(column => this.escapeField(column, delimiter)).join(delimiter));
+        
+        if (!await writeChunk(stream, lines.join('\n') + '\n')) return;
+        
+        let batch = [];
+        for (const row of this.iterateRows(prepared)) {
+            const fields = [formatNumber(row.time, 12)];
+            for (let c = 0; c < channels.length; c++) {
+                const value = this.valueAt(channels[c].data, row.positions[c], fill);
+                fields.push(value === null ? '' : formatNumber(value, 7));
+            }
+            batch.push(fields.join(delimiter));
+            
+            if (batch.length === this.ROWS_PER_WRITE) {
+                if (!await writeChunk(stream, batch.join('\n') + '\n')) return;
+                batch = [];
+            }
+        }
+        
+        if (batch.length > 0 && !await writeChunk(stream, batch.join('\n') + '\n')) return;
+        stream.end();
+    }
+
+    // Yields { time, positions } where positions[c] is the fractional sample index of channel c
+    *iterateRows(prepared) {
+        const { channels, step, startTime, endTime } = prepared;
+        const channelSteps = channels.map(ch => this.getChannelStep(ch.data));
+        
+        if (step) {
+            const rows = Math.floor((endTime - startTime) / step + 1e-9) + 1;
+            for (let n = 0; n < rows; n++) {
+                const time = startTime + n * step;
+                yield { time, positions: channelSteps.map(dt => time / dt) };
+            }
+            return;
+        }
+        
+        // Full resolution: the base grid is the fastest selected channel, positions are exact
+        const downsampling = channels.map(ch => ch.data.downsampling || 1);
+        const baseFactor = Math.min(...downsampling);
+        const baseStep = (this.metadata.samplingInterval * baseFactor) / 1e9;
+        const first = Math.ceil(startTime / baseStep - 1e-9);
+        const last = Math.floor(endTime / baseStep + 1e-9);
+        
+        for (let k = first; k <= last; k++) {
+            yield {
+                time: k * baseStep,
+                positions: downsampling.map(factor => (k * baseFactor) / factor)
+            };
+        }
+    }
+
+    valueAt(channelData, position, fill) {
+        const values = channelData.values;
+        const index = Math.floor(position + 1e-9);
+        if (index < 0 || index >= values.length) return null;
+        
+        const fraction = position - index;
+        if (Math.abs(fraction) < 1e-9) return values[index];
+        
+        switch (fill) {
+            case 'hold':
+                return values[index];
+            case 'linear':
+                if (index + 1 >= values.length) return values[index];
+                return values[index] + (values[index + 1] - values[index]) * fraction;
+            default:
+                return null;
+        }
+    }
+
+    escapeField(value, delimiter) {
+        const text = String(value);
+        if (text.includes(delimiter) || text.includes('"') || text.includes('\n')) {
+            return `"${text.replace(/"/g, '""')}"`;
+        }
+        return text;
+    }
+}
+
+// One comment line worth of text: line breaks and other control characters become
+// a space. Sidecar files can be edited by hand, so this does not rely on validation.
+function toCommentText(value) {
+    return String(value).replace(/\s*[\u0000-\u001f\u007f-\u009f]+\s*/g, ' ').trim();
+}
+
+// Compact number formatting without trailing zeros
+function formatNumber(value, precision) {
+    return String(Number(value.toPrecision(precision)));
+}
+
+module.exports = DataExporter;
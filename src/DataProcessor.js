@@ -1,78 +1,208 @@
+const MinMaxPyramid = require('./MinMaxPyramid');
+const SpectrumAnalyzer = require('./SpectrumAnalyzer');
+const { getChannelColor } = require('./utils');
+
+// Filtered channels kept in memory, least recently used are dropped first
+const MAX_FILTERED_CHANNELS = 16;
+
+const DEFAULT_PERCENTILES = [1, 5, 25, 50, 75, 95, 99];
+
 class DataProcessor {
-    constructor(rawData, calculatedData, metadata) {
+    constructor(rawData, calculatedData, metadata, options = {}) {
         this.rawData = rawData;
         this.calculatedData = calculatedData;
         this.metadata = metadata;
-    }
-
-    // Dynamic data resampling for zoom levels - supports both raw and calculated channels
-    getResampledData(channelId, startTime, endTime, maxPoints = 2000) {
-        let channelData = null;
+        this.log = options.log || console.log; // progress messages, see BinaryReader
         
-        // Determine if it's a raw or calculated channel
-        if (channelId.startsWith('calc_')) {
-            channelData = this.calculatedData[channelId];
-        } else if (channelId.startsWith('channel_')) {
-            channelData = this.rawData[channelId];
-        } else {
-            // Support legacy numeric channel access (assume raw)
-            channelData = this.rawData[`channel_${channelId}`];
-        }
+        // Min/max pyramids per channel ID, see getPyramid()
+        this.pyramids = {};
+        this.buildPyramids();
         
-        if (!channelData) return { time: [], values: [] };
+        this.spectrumAnalyzer = new SpectrumAnalyzer();
         
-        // Find indices for time range
-        const startIdx = this.findTimeIndex(channelData.time, startTime);
-        const endIdx = this.findTimeIndex(channelData.time, endTime);
+        // Filtered copies of channels keyed by "<channelId>|<filter key>", see getFilteredChannel()
+        this.filteredChannels = new Map();
+    }
+
+    // Dynamic data resampling for zoom levels - supports both raw and calculated channels.
+    // Returns Float32Arrays; use Array.from() before JSON serialization.
+    // mode 'minmax' returns the min and max of every pixel bucket at their real sample
+    // times (spike-preserving), mode 'lttb' returns a smooth MinMaxLTTB selection.
+    // An optional SignalFilter resamples the filtered signal instead of the original.
+    getResampledData(channelId, startTime, endTime, maxPoints = 2000, mode = 'minmax', filter = null) {
+        const channelData = this.getChannelById(channelId, filter);
+        if (!channelData) return { time: new Float32Array(0), values: new Float32Array(0) };
+        
+        // Include one sample beyond each edge so the trace reaches the view borders
+        const startIdx = Math.max(0, this.findTimeIndex(channelData.time, startTime) - 1);
+        const endIdx = Math.min(channelData.time.length, this.findTimeIndex(channelData.time, endTime) + 1);
         
         const totalPoints = endIdx - startIdx;
         if (totalPoints <= maxPoints) {
             // Return raw data if within limits
             return {
-                time: Array.from(channelData.time.slice(startIdx, endIdx)),
-                values: Array.from(channelData.values.slice(startIdx, endIdx))
+                time: channelData.time.slice(startIdx, endIdx),
+                values: channelData.values.slice(startIdx, endIdx)
             };
         }
         
-        // Resample using MinMax-LTTB algorithm (simplified)
-        const step = Math.floor(totalPoints / maxPoints);
-        const resampledTime = [];
-        const resampledValues = [];
-        
-        for (let i = startIdx; i < endIdx; i += step) {
-            // Take min, max, and average in each bucket for better representation
-            let min = channelData.values[i];
-            let max = channelData.values[i];
-            let sum = 0;
-            let count = 0;
-            
-            for (let j = 0; j < step && i + j < endIdx; j++) {
-                const val = channelData.values[i + j];
-                min = Math.min(min, val);
-                max = Math.max(max, val);
-                sum += val;
-                count++;
+        const pyramid = this.getPyramid(channelId, filter);
+        let indices;
+        
+        if (mode === 'lttb') {
+            // MinMaxLTTB: preselect extremes from the pyramid, then LTTB over those candidates
+            const candidates = this.withEdges(pyramid.minMaxIndices(startIdx, endIdx, maxPoints * 2), startIdx, endIdx);
+            indices = this.largestTriangleThreeBuckets(channelData.time, channelData.values, candidates, maxPoints);
+        } else {
+            // Two points per bucket plus the two edge samples
+            const buckets = Math.max(1, Math.floor((maxPoints - 2) / 2));
+            indices = this.withEdges(pyramid.minMaxIndices(startIdx, endIdx, buckets), startIdx, endIdx);
+        }
+        
+        const time = new Float32Array(indices.length);
+        const values = new Float32Array(indices.length);
+        for (let i = 0; i < indices.length; i++) {
+            time[i] = channelData.time[indices[i]];
+            values[i] = channelData.values[indices[i]];
+        }
+        
+        return { time, values };
+    }
+
+    // Make sure the first and last sample of the range are part of the selection
+    withEdges(indices, startIdx, endIdx) {
+        if (indices[0] !== startIdx) indices.unshift(startIdx);
+        if (indices[indices.length - 1] !== endIdx - 1) indices.push(endIdx - 1);
+        return indices;
+    }
+
+    // Largest-Triangle-Three-Buckets over a list of candidate sample indices
+    largestTriangleThreeBuckets(time, values, candidates, threshold) {
+        const n = candidates.length;
+        if (threshold >= n || threshold < 3) return candidates;
+        
+        const selected = [candidates[0]];
+        const bucketSize = (n - 2) / (threshold - 2);
+        let previous = candidates[0];
+        
+        for (let bucket = 0; bucket < threshold - 2; bucket++) {
+            // Average of the next bucket is the third triangle corner
+            const nextStart = Math.floor((bucket + 1) * bucketSize) + 1;
+            const nextEnd = Math.min(Math.floor((bucket + 2) * bucketSize) + 1, n);
+            let avgTime = 0;
+            let avgValue = 0;
+            for (let j = nextStart; j < nextEnd; j++) {
+                avgTime += time[candidates[j]];
+                avgValue += values[candidates[j]];
             }
+            const nextCount = Math.max(1, nextEnd - nextStart);
+            avgTime /= nextCount;
+            avgValue /= nextCount;
+            
+            // Pick the point of this bucket with the largest triangle area
+            const rangeStart = Math.floor(bucket * bucketSize) + 1;
+            const rangeEnd = Math.floor((bucket + 1) * bucketSize) + 1;
+            const previousTime = time[previous];
+            const previousValue = values[previous];
+            let maxArea = -1;
+            let chosen = candidates[rangeStart];
             
-            // Include min, max, and average for spike preservation
-            if (count > 0) {
-                const avg = sum / count;
-                const time = channelData.time[i];
-                const timeStep = this.getChannelTimeStep(channelId);
-                
-                if (Math.abs(max - min) > Math.abs(avg) * 0.1) {
-                    // Significant variation - include min and max
-                    resampledTime.push(time, time + timeStep, time + timeStep * 0.5);
-                    resampledValues.push(min, max, avg);
-                } else {
-                    // Small variation - just average
-                    resampledTime.push(time);
-                    resampledValues.push(avg);
+            for (let j = rangeStart; j < rangeEnd; j++) {
+                const index = candidates[j];
+                const area = Math.abs(
+                    (previousTime - avgTime) * (values[index] - previousValue) -
+                    (previousTime - time[index]) * (avgValue - previousValue)
+                );
+                if (area > maxArea) {
+                    maxArea = area;
+                    chosen = index;
                 }
             }
+            
+            selected.push(chosen);
+            previous = chosen;
         }
         
-        return { time: resampledTime, values: resampledValues };
+        selected.push(candidates[n - 1]);
+        return selected;
+    }
+
+    // Min/max pyramid for a channel, built on first use
+    getPyramid(channelId, filter = null) {
+        // Legacy numeric IDs share the pyramid of channel_<n>
+        const key = this.getCacheKey(channelId, filter);
+        
+        if (!this.pyramids[key]) {
+            this.pyramids[key] = new MinMaxPyramid(this.getChannelById(channelId, filter).values);
+        }
+        return this.pyramids[key];
+    }
+
+    // Canonical channel ID, plus the filter key for filtered data
+    getCacheKey(channelId, filter = null) {
+        const id = /^\d+$/.test(channelId) ? `channel_${channelId}` : channelId;
+        return filter ? `${id}|${filter.key}` : id;
+    }
+
+    // Filtered copy of a channel, computed once per channel and filter chain.
+    // The pyramid of a filtered channel is built lazily on first resampling.
+    getFilteredChannel(channelId, channelData, filter) {
+        const key = this.getCacheKey(channelId, filter);
+        
+        let filtered = this.filteredChannels.get(key);
+        if (filtered) {
+            // Move to the end of the LRU order
+            this.filteredChannels.delete(key);
+        } else {
+            const startTime = process.hrtime.bigint();
+            const sampleRate = 1 / this.getChannelTimeStep(channelId);
+            
+            filtered = {
+                ...channelData,
+                values: filter.apply(channelData.values, sampleRate),
+                filter: filter.key
+            };
+            
+            const seconds = Number(process.hrtime.bigint() - startTime) / 1e9;
+            this.log(`Filtered ${channelId} with ${filter.key} in ${seconds} seconds`);
+        }
+        this.filteredChannels.set(key, filtered);
+        
+        while (this.filteredChannels.size > MAX_FILTERED_CHANNELS) {
+            const oldest = this.filteredChannels.keys().next().value;
+            this.filteredChannels.delete(oldest);
+            delete this.pyramids[oldest];
+        }
+        
+        return filtered;
+    }
+
+    // The channels grew (live tail mode): the pyramids of unfiltered channels are extended
+    // with the new samples. Filtered copies, and their pyramids, are recomputed on their
+    // next use since a filter's output near the old end changes with the new samples.
+    dataAppended() {
+        for (const key of Object.keys(this.pyramids)) {
+            const channelData = key.includes('|') ? null : this.getChannelById(key);
+            if (channelData) {
+                this.pyramids[key].extend(channelData.values);
+            } else {
+                delete this.pyramids[key];
+            }
+        }
+        this.filteredChannels.clear();
+    }
+
+    // Build the pyramids of all channels up front so zoom requests only pay for visible pixels
+    buildPyramids() {
+        const startTime = process.hrtime.bigint();
+        let bytes = 0;
+        
+        for (const channelId of [...this.getRawChannelIds(), ...this.getCalculatedChannelIds()]) {
+            bytes += this.getPyramid(channelId).getMemoryUsage();
+        }
+        
+        const seconds = Number(process.hrtime.bigint() - startTime) / 1e9;
+        this.log(`Min/max pyramids built in ${seconds} seconds (${(bytes / 1024 / 1024).toFixed(1)} MB)`);
     }
 
     // Get the time step for a specific channel
@@ -111,6 +241,58 @@ class DataProcessor {
         return Math.max(0, Math.min(timeArray.length - 1, left));
     }
 
+    // Sample index range [startIdx, endIdx) of the samples within [startTime, endTime]
+    getIndexRange(timeArray, startTime, endTime) {
+        let startIdx = this.findTimeIndex(timeArray, startTime);
+        if (timeArray[startIdx] < startTime) startIdx++;
+        let endIdx = this.findTimeIndex(timeArray, endTime);
+        if (timeArray[endIdx] <= endTime) endIdx++;
+        
+        return { startIdx, endIdx: Math.max(startIdx, endIdx) };
+    }
+
+    // Welch spectrum of a channel between startTime and endTime (seconds).
+    // The sample rate follows the channel's own downsampling factor.
+    getSpectrum(channelId, startTime, endTime, options = {}) {
+        const channelData = this.getChannelById(channelId);
+        if (!channelData) return null;
+        
+        const { startIdx, endIdx } = this.getIndexRange(channelData.time, startTime, endTime);
+        const sampleRate = 1 / this.getChannelTimeStep(channelId);
+        const spectrum = this.spectrumAnalyzer.welch(channelData.values.subarray(startIdx, endIdx), sampleRate, options);
+        
+        return {
+            ...spectrum,
+            peaks: this.spectrumAnalyzer.findPeaks(spectrum),
+            samples: endIdx - startIdx,
+            startTime: channelData.time[startIdx],
+            endTime: channelData.time[endIdx - 1]
+        };
+    }
+
+    // STFT spectrogram of a channel between startTime and endTime, decimated to
+    // options.columns x options.rows. Column times are shifted to the recording time axis.
+    getSpectrogram(channelId, startTime, endTime, options = {}) {
+        const channelData = this.getChannelById(channelId);
+        if (!channelData) return null;
+        
+        const { startIdx, endIdx } = this.getIndexRange(channelData.time, startTime, endTime);
+        const sampleRate = 1 / this.getChannelTimeStep(channelId);
+        const spectrogram = this.spectrumAnalyzer.spectrogram(channelData.values.subarray(startIdx, endIdx), sampleRate, options);
+        
+        const offset = channelData.time[startIdx];
+        for (let i = 0; i < spectrogram.times.length; i++) {
+            spectrogram.times[i] += offset;
+        }
+        
+        return {
+            ...spectrogram,
+            samples: endIdx - startIdx,
+            startTime: offset,
+            endTime: channelData.time[endIdx - 1]
+        };
+    }
+
     // Calculate data ranges for auto-scaling - includes both raw and calculated channels
     getDataRanges() {
         const ranges = {};
@@ -128,12 +310,11 @@ class DataProcessor {
         }
         
         // Process calculated channels
-        for (let i = 0; i < 7; i++) {
-            const channelData = this.calculatedData[`calc_${i}`];
-            if (!channelData) continue;
+        for (const channelId of this.getCalculatedChannelIds()) {
+            const channelData = this.calculatedData[channelId];
             
             const channelRange = this.calculateChannelRange(channelData);
-            ranges[`calc_${i}`] = {
+            ranges[channelId] = {
                 ...channelRange,
                 type: 'calculated'
             };
@@ -145,6 +326,9 @@ class DataProcessor {
     // Helper method to calculate min/max range for a single channel
     calculateChannelRange(channelData) {
         const values = channelData.values;
+        if (values.length === 0) {
+            return { min: 0, max: 0, unit: channelData.unit, label: channelData.label };
+        }
         
         // Calculate min/max for this channel
         let min = values[0];
@@ -186,36 +370,41 @@ class DataProcessor {
                 label: ch.label,
                 unit: ch.unit,
                 points: ch.points,
-                duration: ch.time[ch.time.length - 1],
+                duration: this.getEndTime(ch),
                 type: 'raw'
             });
             summary.totalPoints += ch.points;
-            summary.duration = Math.max(summary.duration, ch.time[ch.time.length - 1]);
+            summary.duration = Math.max(summary.duration, this.getEndTime(ch));
         }
         
         // Process calculated channels
-        for (let i = 0; i < 7; i++) {
-            const ch = this.calculatedData[`calc_${i}`];
-            if (!ch) continue;
+        this.getCalculatedChannelIds().forEach((channelId, i) => {
+            const ch = this.calculatedData[channelId];
             
             summary.calculatedChannels.push({
                 index: i,
-                id: `calc_${i}`,
+                id: channelId,
                 label: ch.label,
                 unit: ch.unit,
                 points: ch.points,
-                duration: ch.time[ch.time.length - 1],
+                duration: this.getEndTime(ch),
                 sourceChannels: ch.sourceChannels,
+                expression: ch.expression,
                 type: 'calculated'
             });
             summary.totalPoints += ch.points;
-            summary.duration = Math.max(summary.duration, ch.time[ch.time.length - 1]);
-        }
+            summary.duration = Math.max(summary.duration, this.getEndTime(ch));
+        });
         
         return summary;
     }
 
-    // Get time range for all channels (raw and calculated)
+    // Time of the last sample of a channel; 0 while a live file holds no sample yet
+    getEndTime(channelData) {
+        return channelData.time.length > 0 ? channelData.time[channelData.time.length - 1] : 0;
+    }
+
+    // Get time range for all channels (raw and calculated), { min: 0, max: 0 } without samples
     getTimeRange() {
         let minTime = Infinity;
         let maxTime = -Infinity;
@@ -223,34 +412,38 @@ class DataProcessor {
         // Check raw channels
         for (let i = 0; i < 8; i++) {
             const ch = this.rawData[`channel_${i}`];
-            if (!ch) continue;
+            if (!ch || ch.time.length === 0) continue;
             
             minTime = Math.min(minTime, ch.time[0]);
             maxTime = Math.max(maxTime, ch.time[ch.time.length - 1]);
         }
         
         // Check calculated channels
-        for (let i = 0; i < 7; i++) {
-            const ch = this.calculatedData[`calc_${i}`];
-            if (!ch) continue;
+        for (const channelId of this.getCalculatedChannelIds()) {
+            const ch = this.calculatedData[channelId];
+            if (ch.time.length === 0) continue;
             
             minTime = Math.min(minTime, ch.time[0]);
             maxTime = Math.max(maxTime, ch.time[ch.time.length - 1]);
         }
         
-        return { min: minTime, max: maxTime };
+        return minTime <= maxTime ? { min: minTime, max: maxTime } : { min: 0, max: 0 };
     }
 
-    // Get channel data by ID (supports both raw and calculated)
-    getChannelById(channelId) {
+    // Get channel data by ID (supports both raw and calculated), optionally filtered
+    getChannelById(channelId, filter = null) {
+        let channelData;
         if (channelId.startsWith('calc_')) {
-            return this.calculatedData[channelId];
+            channelData = this.calculatedData[channelId];
         } else if (channelId.startsWith('channel_')) {
-            return this.rawData[channelId];
+            channelData = this.rawData[channelId];
         } else {
             // Support legacy numeric access
-            return this.rawData[`channel_${channelId}`];
+            channelData = this.rawData[`channel_${channelId}`];
         }
+        
+        if (!channelData || !filter) return channelData;
+        return this.getFilteredChannel(channelId, channelData, filter);
     }
 
     // Get all available channels organized by type
@@ -269,25 +462,27 @@ class DataProcessor {
                     index: i,
                     label: ch.label,
                     unit: ch.unit,
-                    points: ch.points
+                    points: ch.points,
+                    color: getChannelColor(`channel_${i}`)
                 });
             }
         }
         
         // Add calculated channels
-        for (let i = 0; i < 7; i++) {
-            const ch = this.calculatedData[`calc_${i}`];
-            if (ch) {
-                available.calculated.push({
-                    id: `calc_${i}`,
-                    index: i,
-                    label: ch.label,
-                    unit: ch.unit,
-                    points: ch.points,
-                    sourceChannels: ch.sourceChannels
-                });
-            }
-        }
+        this.getCalculatedChannelIds().forEach((channelId, i) => {
+            const ch = this.calculatedData[channelId];
+            available.calculated.push({
+                id: channelId,
+                index: i,
+                label: ch.label,
+                unit: ch.unit,
+                points: ch.points,
+                sourceChannels: ch.sourceChannels,
+                expression: ch.expression,
+                showInControls: ch.showInControls !== false,
+                color: getChannelColor(channelId, ch.color)
+            });
+        });
         
         return available;
     }
@@ -310,13 +505,12 @@ class DataProcessor {
         }
         
         // Process calculated channels
-        for (let i = 0; i < 7; i++) {
-            const ch = this.calculatedData[`calc_${i}`];
-            if (!ch) continue;
+        for (const channelId of this.getCalculatedChannelIds()) {
+            const ch = this.calculatedData[channelId];
             
             if (!byUnit[ch.unit]) byUnit[ch.unit] = [];
             byUnit[ch.unit].push({
-                id: `calc_${i}`,
+                id: channelId,
                 label: ch.label,
                 type: 'calculated'
             });
@@ -325,16 +519,14 @@ class DataProcessor {
         return byUnit;
     }
 
-    // Get calculated channels that should be displayed by default
+    // Get calculated channels that should be displayed by default (defaultDisplay in the channel config)
     getDefaultDisplayChannels() {
-        const defaultChannels = [
-            'calc_5', // U_DC*
-            'calc_3', // I_DC_GR1*
-            'calc_4', // I_DC_GR2*
-            'calc_6'  // F_Schlitten*
-        ];
-        
-        return defaultChannels.filter(channelId => this.calculatedData[channelId]);
+        return this.getCalculatedChannelIds().filter(channelId => this.calculatedData[channelId].defaultDisplay);
+    }
+
+    // Calculated channel IDs in configuration order
+    getCalculatedChannelIds() {
+        return Object.keys(this.calculatedData);
     }
 
     // Get raw channels (for optional display)
@@ -348,43 +540,145 @@ class DataProcessor {
         return rawChannels;
     }
 
-    // Enhanced data statistics
-    getChannelStatistics(channelId) {
-        const channelData = this.getChannelById(channelId);
+    // Statistics of a channel between startTime and endTime (whole channel when omitted).
+    // Mean and variance use Welford's algorithm, so large offsets (e.g. 600 V DC with
+    // millivolt ripple) keep their precision. Percentiles interpolate linearly between
+    // order statistics; integral is the trapezoidal area in unit * seconds.
+    getChannelStatistics(channelId, startTime = null, endTime = null, filter = null, percentiles = DEFAULT_PERCENTILES) {
+        const channelData = this.getChannelById(channelId, filter);
         if (!channelData) return null;
         
-        const values = channelData.values;
-        const n = values.length;
+        const { time, values } = channelData;
+        const { startIdx, endIdx } = this.getIndexRange(
+            time,
+            startTime === null ? -Infinity : startTime,
+            endTime === null ? Infinity : endTime
+        );
+        const n = endIdx - startIdx;
+        const timeStep = this.getChannelTimeStep(channelId);
         
-        // Basic statistics
-        let min = values[0];
-        let max = values[0];
+        const result = {
+            count: n,
+            unit: channelData.unit,
+            label: channelData.label,
+            integralUnit: `${channelData.unit}·s`
+        };
+        if (n === 0) return result;
+        
+        let mean = 0;
+        let m2 = 0;
+        let minIdx = startIdx;
+        let maxIdx = startIdx;
         let sum = 0;
-        let sumSquares = 0;
-        
-        for (let i = 0; i < n; i++) {
-            const val = values[i];
-            min = Math.min(min, val);
-            max = Math.max(max, val);
-            sum += val;
-            sumSquares += val * val;
+        
+        for (let i = startIdx; i < endIdx; i++) {
+            const value = values[i];
+            const delta = value - mean;
+            const count = i - startIdx + 1;
+            mean += delta / count;
+            m2 += delta * (value - mean);
+            sum += value;
+            
+            if (value < values[minIdx]) minIdx = i;
+            if (value > values[maxIdx]) maxIdx = i;
         }
         
-        const mean = sum / n;
-        const variance = (sumSquares / n) - (mean * mean);
-        const stdDev = Math.sqrt(variance);
+        const variance = m2 / n;
         
         return {
-            min,
-            max,
+            ...result,
+            startTime: time[startIdx],
+            endTime: time[endIdx - 1],
+            duration: (n - 1) * timeStep,
+            first: values[startIdx],
+            last: values[endIdx - 1],
+            min: values[minIdx],
+            max: values[maxIdx],
+            timeOfMin: time[minIdx],
+            timeOfMax: time[maxIdx],
+            peakToPeak: values[maxIdx] - values[minIdx],
             mean,
-            stdDev,
-            rms: Math.sqrt(sumSquares / n),
-            count: n,
-            unit: channelData.unit,
-            label: channelData.label
+            stdDev: Math.sqrt(variance),
+            rms: Math.sqrt(mean * mean + variance),
+            percentiles: this.getPercentiles(values.subarray(startIdx, endIdx), percentiles),
+            // Trapezoidal rule on the uniform sample grid
+            integral: (sum - (values[startIdx] + values[endIdx - 1]) / 2) * timeStep
         };
     }
+
+    // Events found by an EventDetector in a channel between startTime and endTime
+    detectEvents(channelId, detector, startTime, endTime, filter = null) {
+        const channelData = this.getChannelById(channelId, filter);
+        if (!channelData) return null;
+        
+        const { startIdx, endIdx } = this.getIndexRange(channelData.time, startTime, endTime);
+        return detector.detect(channelData.time, channelData.values, startIdx, endIdx, this.getChannelTimeStep(channelId));
+    }
+
+    // Linearly interpolated percentiles (0..100) of values, keyed p<percentile>. The values are
+    // copied once and partially ordered by quickselect instead of being sorted, so the cost
+    // stays linear in the window length for the few percentiles that are asked for.
+    getPercentiles(values, percentiles) {
+        if (percentiles.length === 0) return {};
+        
+        // NaN sorts last, like TypedArray.prototype.sort()
+        const window = values.slice();
+        let finite = window.length;
+        for (let i = finite - 1; i >= 0; i--) {
+            if (Number.isNaN(window[i])) {
+                window[i] = window[--finite];
+                window[finite] = NaN;
+            }
+        }
+        
+        // Ascending ranks, so each selection only searches right of the previous one
+        const ranks = [...new Set(percentiles.flatMap(p => {
+            const position = (p / 100) * (window.length - 1);
+            return [Math.floor(position), Math.min(Math.floor(position) + 1, window.length - 1)];
+        }))].sort((a, b) => a - b);
+        let left = 0;
+        for (const rank of ranks) {
+            if (rank >= finite) break;
+            quickselect(window, rank, left, finite - 1);
+            left = rank;
+        }
+        
+        return Object.fromEntries(percentiles.map(p => {
+            const position = (p / 100) * (window.length - 1);
+            const lower = Math.floor(position);
+            const upper = Math.min(lower + 1, window.length - 1);
+            return [`p${p}`, window[lower] + (window[upper] - window[lower]) * (position - lower)];
+        }));
+    }
+}
+
+// Reorder values[left..right] so that values[k] holds the value a full sort would put there,
+// with no larger value before it and no smaller value after it
+function quickselect(values, k, left, right) {
+    while (left < right) {
+        const pivot = values[(left + right) >> 1];
+        let i = left;
+        let j = right;
+        while (i <= j) {
+            while (values[i] < pivot) i++;
+            while (values[j] > pivot) j--;
+            if (i <= j) {
+                const swap = values[i];
+                values[i] = values[j];
+                values[j] = swap;
+                i++;
+                j--;
+            }
+        }
+        
+        if (k <= j) {
+            right = j;
+        } else if (k >= i) {
+            left = i;
+        } else {
+            return;
+        }
+    }
 }
 
 module.exports = DataProcessor;
\ No newline at end of file
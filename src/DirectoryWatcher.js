@@ -0,0 +1,84 @@
+const fs = require('fs');
+const path = require('path');
+const EventEmitter = require('events');
+
+// Polls a directory for new or rewritten .bin files and emits 'ready' once a file's size
+// and modification time have not changed for settleTime ms, i.e. the acquisition PC has
+// finished writing it. Polling instead of fs.watch also works on network shares.
+// Only the directory itself is scanned, not its subdirectories.
+//
+// Events:
+//   ready  { path, size, mtimeMs }    a file is complete
+//   error  Error                      the directory could not be read
+class DirectoryWatcher extends EventEmitter {
+    constructor(dir, options = {}) {
+        super();
+        this.dir = path.resolve(dir);
+        this.interval = options.interval || 1000;
+        this.settleTime = options.settleTime !== undefined ? options.settleTime : 2000;
+        this.extension = (options.extension || '.bin').toLowerCase();
+        
+        this.files = new Map(); // path -> { size, mtimeMs, changedAt, reported }
+        this.timer = null;
+        this.polling = false;
+    }
+
+    // Files present at the start are known and not reported
+    async start() {
+        await this.scan(true);
+        this.timer = setInterval(() => this.poll(), this.interval);
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    async poll() {
+        // A slow share may take longer than the interval; skip instead of overlapping
+        if (this.polling) return;
+        this.polling = true;
+        
+        try {
+            await this.scan(false);
+        } catch (error) {
+            this.emit('error', error);
+        } finally {
+            this.polling = false;
+        }
+    }
+
+    async scan(initial) {
+        const now = Date.now();
+        const seen = new Set();
+        const entries = await fs.promises.readdir(this.dir, { withFileTypes: true });
+        
+        for (const entry of entries) {
+            if (!entry.isFile() || path.extname(entry.name).toLowerCase() !== this.extension) continue;
+            
+            const filePath = path.join(this.dir, entry.name);
+            let stats;
+            try {
+                stats = await fs.promises.stat(filePath);
+            } catch (error) {
+                if (error.code === 'ENOENT') continue; // removed between readdir and stat
+                throw error;
+            }
+            seen.add(filePath);
+            
+            const known = this.files.get(filePath);
+            if (!known || known.size !== stats.size || known.mtimeMs !== stats.mtimeMs) {
+                this.files.set(filePath, { size: stats.size, mtimeMs: stats.mtimeMs, changedAt: now, reported: initial });
+            } else if (!known.reported && now - known.changedAt >= this.settleTime && stats.size > 0) {
+                known.reported = true;
+                this.emit('ready', { path: filePath, size: stats.size, mtimeMs: stats.mtimeMs });
+            }
+        }
+        
+        for (const filePath of this.files.keys()) {
+            if (!seen.has(filePath)) this.files.delete(filePath);
+        }
+    }
+}
+
+module.exports = DirectoryWatcher;
@@ -0,0 +1,291 @@
+// Scans a channel for time-stamped events. One detector per event type:
+//
+//   threshold  level, hysteresis (default 0)         crossings of a Schmitt trigger
+//   edge       slope (unit/s), window (s)            runs where the slope over window exceeds slope
+//   peak       prominence, distance (s), polarity    local maxima (or minima) standing out by prominence
+//   hold       min and/or max, minDuration (s)       intervals where the value stays within [min, max]
+//
+// threshold and edge accept direction 'rising' | 'falling' | 'both' (default).
+// Options are validated in the constructor, which throws on invalid input.
+class EventDetector {
+    constructor(type, options = {}) {
+        this.type = type;
+        this.options = this.parseOptions(type, options);
+    }
+
+    parseOptions(type, options) {
+        const number = (name, fallback) => {
+            if (options[name] === undefined || options[name] === '') {
+                if (fallback === undefined) throw new Error(`Missing parameter "${name}" for ${type} events`);
+                return fallback;
+            }
+            const value = Number(options[name]);
+            if (!isFinite(value)) throw new Error(`Parameter "${name}" must be a number, got "${options[name]}"`);
+            return value;
+        };
+        const oneOf = (name, allowed, fallback) => {
+            const value = options[name] || fallback;
+            if (!allowed.includes(value)) throw new Error(`Parameter "${name}" must be one of ${allowed.join(', ')}, got "${value}"`);
+            return value;
+        };
+        const positive = (name, value) => {
+            if (value < 0) throw new Error(`Parameter "${name}" must not be negative`);
+            return value;
+        };
+        
+        switch (type) {
+            case 'threshold':
+                return {
+                    level: number('level'),
+                    hysteresis: positive('hysteresis', number('hysteresis', 0)),
+                    direction: oneOf('direction', ['rising', 'falling', 'both'], 'both')
+                };
+            case 'edge':
+                return {
+                    slope: positive('slope', number('slope')),
+                    window: positive('window', number('window', 0)),
+                    direction: oneOf('direction', ['rising', 'falling', 'both'], 'both')
+                };
+            case 'peak':
+                return {
+                    prominence: positive('prominence', number('prominence')),
+                    distance: positive('distance', number('distance', 0)),
+                    polarity: oneOf('polarity', ['max', 'min'], 'max')
+                };
+            case 'hold': {
+                const min = number('min', -Infinity);
+                const max = number('max', Infinity);
+                if (min === -Infinity && max === Infinity) throw new Error('hold events need "min" and/or "max"');
+                if (min > max) throw new Error('"min" must not be above "max"');
+                return { min, max, minDuration: positive('minDuration', number('minDuration', 0)) };
+            }
+            default:
+                throw new Error(`Unknown event type: ${type}`);
+        }
+    }
+
+    // Events for samples [startIdx, endIdx) of a channel, sorted by time.
+    // timeStep is the channel's sample interval in seconds.
+    detect(time, values, startIdx, endIdx, timeStep) {
+        if (endIdx - startIdx < 2) return [];
+        
+        switch (this.type) {
+            case 'threshold':
+                return this.detectThreshold(time, values, startIdx, endIdx);
+            case 'edge':
+                return this.detectEdges(time, values, startIdx, endIdx, timeStep);
+            case 'peak':
+                return this.detectPeaks(time, values, startIdx, endIdx, timeStep);
+            case 'hold':
+                return this.detectHolds(time, values, startIdx, endIdx, timeStep);
+        }
+    }
+
+    // Schmitt trigger: switches high at level + hysteresis/2 and low below level - hysteresis/2.
+    // The event time is interpolated where the signal crosses level itself.
+    detectThreshold(time, values, startIdx, endIdx) {
+        const { level, hysteresis, direction } = this.options;
+        const upper = level + hysteresis / 2;
+        const lower = level - hysteresis / 2;
+        const events = [];
+        
+        let high = values[startIdx] >= level;
+        let lastCrossing = startIdx; // last sample index before the signal passed level
+        
+        for (let i = startIdx + 1; i < endIdx; i++) {
+            const previous = values[i - 1];
+            const value = values[i];
+            if ((previous >= level) !== (value >= level)) lastCrossing = i - 1;
+            
+            if (!high && value >= upper) {
+                high = true;
+                if (direction !== 'falling') events.push(this.crossing(time, values, lastCrossing, level, 'rising'));
+            } else if (high && value < lower) {
+                high = false;
+                if (direction !== 'rising') events.push(this.crossing(time, values, lastCrossing, level, 'falling'));
+            }
+        }
+        
+        return events;
+    }
+
+    // Threshold event at the linear interpolation of level between samples i and i + 1
+    crossing(time, values, i, level, direction) {
+        const v0 = values[i];
+        const v1 = values[i + 1];
+        const fraction = v1 === v0 ? 0 : Math.min(1, Math.max(0, (level - v0) / (v1 - v0)));
+        
+        return {
+            type: 'threshold',
+            direction,
+            time: time[i] + fraction * (time[i + 1] - time[i]),
+            value: level
+        };
+    }
+
+    // Runs of samples whose slope over the window exceeds the limit; one event per run
+    // at the steepest point, with the values where the run starts and ends
+    detectEdges(time, values, startIdx, endIdx, timeStep) {
+        const { slope: minSlope, window, direction } = this.options;
+        const lag = Math.max(1, Math.round(window / timeStep));
+        const events = [];
+        let run = null;
+        
+        const finishRun = () => {
+            if (run && (direction === 'both' || direction === run.direction)) {
+                events.push({
+                    type: 'edge',
+                    direction: run.direction,
+                    time: time[run.steepest],
+                    value: values[run.steepest],
+                    slope: run.slope,
+                    startTime: time[run.start],
+                    endTime: time[run.end],
+                    from: values[run.start],
+                    to: values[run.end]
+                });
+            }
+            run = null;
+        };
+        
+        for (let i = startIdx + lag; i < endIdx; i++) {
+            const slope = (values[i] - values[i - lag]) / (lag * timeStep);
+            const edgeDirection = slope >= minSlope ? 'rising' : slope <= -minSlope ? 'falling' : null;
+            
+            if (!edgeDirection || (run && run.direction !== edgeDirection)) finishRun();
+            if (!edgeDirection) continue;
+            
+            if (!run) {
+                run = { direction: edgeDirection, start: i - lag, end: i, steepest: i - Math.floor(lag / 2), slope };
+            }
+            run.end = i;
+            if (Math.abs(slope) > Math.abs(run.slope)) {
+                run.slope = slope;
+                run.steepest = i - Math.floor(lag / 2);
+            }
+        }
+        finishRun();
+        
+        return events;
+    }
+
+    // Local extrema with their topographic prominence: the height above the higher of
+    // the two lowest points reached before a higher sample on either side (or the window edge)
+    detectPeaks(time, values, startIdx, endIdx, timeStep) {
+        const { prominence: minProminence, distance, polarity } = this.options;
+        const sign = polarity === 'min' ? -1 : 1;
+        const n = endIdx - startIdx;
+        const signal = new Float64Array(n);
+        for (let i = 0; i < n; i++) signal[i] = sign * values[startIdx + i];
+        
+        const leftBase = this.baseLevels(signal, 1);
+        const rightBase = this.baseLevels(signal, -1);
+        let peaks = [];
+        
+        for (let i = 1; i < n - 1; i++) {
+            if (!(signal[i] > signal[i - 1] && signal[i] >= signal[i + 1])) continue;
+            
+            const prominence = signal[i] - Math.max(leftBase[i], rightBase[i]);
+            if (prominence >= minProminence) {
+                peaks.push({ index: i, prominence });
+            }
+        }
+        
+        // Keep the most prominent peak of any group closer than distance
+        if (distance > 0 && peaks.length > 1) {
+            const minSamples = distance / timeStep;
+            const suppressed = new Uint8Array(peaks.length);
+            const byProminence = peaks.map((peak, order) => order).sort((a, b) => peaks[b].prominence - peaks[a].prominence);
+            
+            for (const order of byProminence) {
+                if (suppressed[order]) continue;
+                for (let j = order - 1; j >= 0 && peaks[order].index - peaks[j].index < minSamples; j--) suppressed[j] = 1;
+                for (let j = order + 1; j < peaks.length && peaks[j].index - peaks[order].index < minSamples; j++) suppressed[j] = 1;
+            }
+            peaks = peaks.filter((peak, order) => !suppressed[order]);
+        }
+        
+        return peaks.map(({ index, prominence }) => ({
+            type: 'peak',
+            polarity,
+            time: time[startIdx + index],
+            value: values[startIdx + index],
+            prominence
+        }));
+    }
+
+    // For every sample, the minimum of signal between it and the nearest strictly higher
+    // sample in the given direction (1 = look left, -1 = look right), or the signal edge.
+    // Monotonic stack: each entry keeps the minimum between itself and the entry above it.
+    baseLevels(signal, direction) {
+        const n = signal.length;
+        const base = new Float64Array(n);
+        const stackIndex = new Int32Array(n);
+        const stackMin = new Float64Array(n);
+        let size = 0;
+        let edgeMin = Infinity;
+        
+        for (let step = 0; step < n; step++) {
+            const i = direction === 1 ? step : n - 1 - step;
+            const value = signal[i];
+            let runMin = Infinity;
+            
+            while (size > 0 && signal[stackIndex[size - 1]] <= value) {
+                size--;
+                runMin = Math.min(runMin, signal[stackIndex[size]], stackMin[size]);
+            }
+            
+            if (size > 0) {
+                stackMin[size - 1] = Math.min(stackMin[size - 1], runMin);
+                base[i] = Math.min(stackMin[size - 1], value);
+            } else {
+                base[i] = Math.min(edgeMin, value);
+            }
+            
+            edgeMin = Math.min(edgeMin, value);
+            stackIndex[size] = i;
+            stackMin[size] = Infinity;
+            size++;
+        }
+        
+        return base;
+    }
+
+    // Intervals where the value stays within [min, max] for at least minDuration
+    detectHolds(time, values, startIdx, endIdx, timeStep) {
+        const { min, max, minDuration } = this.options;
+        const events = [];
+        let holdStart = -1;
+        let sum = 0;
+        
+        const finishHold = (end) => {
+            const duration = (end - holdStart) * timeStep;
+            if (duration >= minDuration) {
+                events.push({
+                    type: 'hold',
+                    time: time[holdStart],
+                    endTime: time[end - 1],
+                    duration,
+                    value: sum / (end - holdStart)
+                });
+            }
+            holdStart = -1;
+        };
+        
+        for (let i = startIdx; i < endIdx; i++) {
+            const inside = values[i] >= min && values[i] <= max;
+            if (inside && holdStart < 0) {
+                holdStart = i;
+                sum = 0;
+            } else if (!inside && holdStart >= 0) {
+                finishHold(i);
+            }
+            if (inside) sum += values[i];
+        }
+        if (holdStart >= 0) finishHold(endIdx);
+        
+        return events;
+    }
+}
+
+module.exports = EventDetector;
@@ -0,0 +1,258 @@
+// Small, safe expression language for calculated channels.
+// Supports numbers, + - * /, parentheses, unary minus, function calls
+// (abs, sqrt, min, max) and identifiers that refer to channels or constants.
+// Expressions are parsed into an AST and evaluated over whole arrays - nothing is eval'd.
+
+class ExpressionError extends Error {
+    constructor(message, details = {}) {
+        super(message);
+        this.name = 'ExpressionError';
+        this.details = details;
+    }
+}
+
+const FUNCTIONS = {
+    abs: { arity: 1, fn: Math.abs },
+    sqrt: { arity: 1, fn: Math.sqrt },
+    min: { arity: 2, fn: Math.min },
+    max: { arity: 2, fn: Math.max }
+};
+
+const OPERATORS = {
+    '+': (a, b) => a + b,
+    '-': (a, b) => a - b,
+    '*': (a, b) => a * b,
+    '/': (a, b) => a / b
+};
+
+function tokenize(source) {
+    const tokens = [];
+    const pattern = /(\d+\.?\d*(?:[eE][+-]?\d+)?|\.\d+(?:[eE][+-]?\d+)?)|([A-Za-z_][A-Za-z0-9_]*)|([-+*/(),])/y;
+    let position = 0;
+    
+    while (position < source.length) {
+        if (/\s/.test(source[position])) {
+            position++;
+            continue;
+        }
+        
+        pattern.lastIndex = position;
+        const match = pattern.exec(source);
+        if (!match) {
+            throw new ExpressionError(`Unexpected character '${source[position]}' at position ${position} in "${source}"`,
+                { source, position });
+        }
+        
+        if (match[1] !== undefined) tokens.push({ type: 'number', value: parseFloat(match[1]), position });
+        else if (match[2] !== undefined) tokens.push({ type: 'identifier', value: match[2], position });
+        else tokens.push({ type: 'symbol', value: match[3], position });
+        
+        position = pattern.lastIndex;
+    }
+    
+    return tokens;
+}
+
+class Expression {
+    constructor(source) {
+        this.source = String(source);
+        this.tokens = tokenize(this.source);
+        this.index = 0;
+        
+        if (this.tokens.length === 0) {
+            throw new ExpressionError('Expression is empty', { source: this.source });
+        }
+        
+        this.ast = this.parseSum();
+        if (this.index < this.tokens.length) {
+            this.fail(`Unexpected '${this.tokens[this.index].value}'`);
+        }
+    }
+
+    // --- Recursive descent parser ---
+
+    peek() {
+        return this.tokens[this.index];
+    }
+
+    next() {
+        return this.tokens[this.index++];
+    }
+
+    fail(message) {
+        const token = this.peek();
+        const where = token ? ` at position ${token.position}` : ' at end of expression';
+        throw new ExpressionError(`${message}${where} in "${this.source}"`, { source: this.source });
+    }
+
+    expectSymbol(symbol) {
+        const token = this.next();
+        if (!token || token.type !== 'symbol' || token.value !== symbol) {
+            this.index--;
+            this.fail(`Expected '${symbol}'`);
+        }
+    }
+
+    parseSum() {
+        let node = this.parseProduct();
+        while (this.peek() && ['+', '-'].includes(this.peek().value) && this.peek().type === 'symbol') {
+            const op = this.next().value;
+            node = { type: 'binary', op, left: node, right: this.parseProduct() };
+        }
+        return node;
+    }
+
+    parseProduct() {
+        let node = this.parseUnary();
+        while (this.peek() && ['*', '/'].includes(this.peek().value) && this.peek().type === 'symbol') {
+            const op = this.next().value;
+            node = { type: 'binary', op, left: node, right: this.parseUnary() };
+        }
+        return node;
+    }
+
+    parseUnary() {
+        const token = this.peek();
+        if (token && token.type === 'symbol' && (token.value === '-' || token.value === '+')) {
+            this.next();
+            const arg = this.parseUnary();
+            return token.value === '-' ? { type: 'negate', arg } : arg;
+        }
+        return this.parsePrimary();
+    }
+
+    parsePrimary() {
+        const token = this.next();
+        if (!token) {
+            this.fail('Incomplete expression');
+        }
+        
+        if (token.type === 'number') {
+            return { type: 'number', value: token.value };
+        }
+        
+        if (token.type === 'identifier') {
+            const following = this.peek();
+            if (!following || following.value !== '(') {
+                return { type: 'ref', name: token.value };
+            }
+            
+            const func = FUNCTIONS[token.value];
+            if (!func) {
+                this.index--;
+                this.fail(`Unknown function '${token.value}'`);
+            }
+            
+            this.expectSymbol('(');
+            const args = [this.parseSum()];
+            while (this.peek() && this.peek().value === ',') {
+                this.next();
+                args.push(this.parseSum());
+            }
+            this.expectSymbol(')');
+            
+            if (args.length !== func.arity) {
+                throw new ExpressionError(`${token.value}() takes ${func.arity} argument(s), got ${args.length} in "${this.source}"`,
+                    { source: this.source });
+            }
+            return { type: 'call', name: token.value, args };
+        }
+        
+        if (token.value === '(') {
+            const node = this.parseSum();
+            this.expectSymbol(')');
+            return node;
+        }
+        
+        this.index--;
+        this.fail(`Unexpected '${token.value}'`);
+    }
+
+    // Identifiers referenced by the expression, in order of first appearance
+    getReferences() {
+        const references = [];
+        const visit = (node) => {
+            switch (node.type) {
+                case 'ref':
+                    if (!references.includes(node.name)) references.push(node.name);
+                    break;
+                case 'negate':
+                    visit(node.arg);
+                    break;
+                case 'binary':
+                    visit(node.left);
+                    visit(node.right);
+                    break;
+                case 'call':
+                    node.args.forEach(visit);
+                    break;
+            }
+        };
+        visit(this.ast);
+        return references;
+    }
+
+    // Evaluate over arrays of the given length. resolve(name) must return a
+    // number (constant) or an array-like of values of that length.
+    evaluate(resolve, length) {
+        const result = this.evaluateNode(this.ast, resolve, length);
+        
+        const output = new Float32Array(length);
+        if (typeof result === 'number') {
+            output.fill(result);
+        } else {
+            output.set(result);
+        }
+        return output;
+    }
+
+    evaluateNode(node, resolve, length) {
+        switch (node.type) {
+            case 'number':
+                return node.value;
+            case 'ref': {
+                const value = resolve(node.name);
+                if (value === undefined || value === null) {
+                    throw new ExpressionError(`Unknown reference '${node.name}' in "${this.source}"`, { source: this.source });
+                }
+                return value;
+            }
+            case 'negate':
+                return map1(this.evaluateNode(node.arg, resolve, length), x => -x, length);
+            case 'binary':
+                return map2(
+                    this.evaluateNode(node.left, resolve, length),
+                    this.evaluateNode(node.right, resolve, length),
+                    OPERATORS[node.op],
+                    length
+                );
+            case 'call': {
+                const func = FUNCTIONS[node.name];
+                const args = node.args.map(arg => this.evaluateNode(arg, resolve, length));
+                return func.arity === 1 ? map1(args[0], func.fn, length) : map2(args[0], args[1], func.fn, length);
+            }
+        }
+    }
+}
+
+// Element-wise helpers - intermediates are kept in double precision
+function map1(a, fn, length) {
+    if (typeof a === 'number') return fn(a);
+    const out = new Float64Array(length);
+    for (let i = 0; i < length; i++) out[i] = fn(a[i]);
+    return out;
+}
+
+function map2(a, b, fn, length) {
+    const aScalar = typeof a === 'number';
+    const bScalar = typeof b === 'number';
+    if (aScalar && bScalar) return fn(a, b);
+    
+    const out = new Float64Array(length);
+    for (let i = 0; i < length; i++) {
+        out[i] = fn(aScalar ? a : a[i], bScalar ? b : b[i]);
+    }
+    return out;
+}
+
+module.exports = { Expression, ExpressionError };
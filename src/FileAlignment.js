@@ -0,0 +1,86 @@
+const EventDetector = require('./EventDetector');
+
+// Raised when a file cannot be aligned, e.g. no trigger crossing or no start timestamp
+class AlignmentError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'AlignmentError';
+    }
+}
+
+// How an overlaid file is placed on the time axis of the primary file:
+//
+//   start      both recordings start at t = 0 (default)
+//   absolute   shifted by the difference of the recording start times (binaryUnixMs)
+//   trigger    the first threshold crossing of a channel coincides in both files;
+//              channel, level, hysteresis (default 0) and direction (default rising)
+//
+// Options are validated in the constructor, which throws on invalid input.
+class FileAlignment {
+    constructor(options = {}) {
+        this.mode = options.align || 'start';
+        
+        if (!FileAlignment.MODES.includes(this.mode)) {
+            throw new Error(`Alignment must be one of ${FileAlignment.MODES.join(', ')}, got "${this.mode}"`);
+        }
+        
+        if (this.mode === 'trigger') {
+            if (!options.channel) {
+                throw new Error('Trigger alignment needs a "channel"');
+            }
+            this.channel = String(options.channel);
+            this.detector = new EventDetector('threshold', {
+                level: options.level,
+                hysteresis: options.hysteresis,
+                direction: options.direction || 'rising'
+            });
+        }
+    }
+
+    // Seconds to add to the overlay's time axis so it lines up with the reference.
+    // reference and overlay are { processor, metadata } of the two files.
+    getOffset(reference, overlay) {
+        switch (this.mode) {
+            case 'absolute': {
+                const referenceStart = reference.metadata.binaryUnixMs;
+                const overlayStart = overlay.metadata.binaryUnixMs;
+                if (!referenceStart || !overlayStart) {
+                    throw new AlignmentError('Absolute alignment needs the start timestamp of both files');
+                }
+                return (overlayStart - referenceStart) / 1000;
+            }
+            case 'trigger':
+                return this.findTrigger(reference.processor, 'reference file') - this.findTrigger(overlay.processor, 'overlaid file');
+            default:
+                return 0;
+        }
+    }
+
+    // Time of the first trigger crossing in a file
+    findTrigger(processor, description) {
+        const timeRange = processor.getTimeRange();
+        const events = processor.detectEvents(this.channel, this.detector, timeRange.min, timeRange.max);
+        
+        if (!events) {
+            throw new AlignmentError(`Trigger channel ${this.channel} does not exist in the ${description}`);
+        }
+        
+        const { level, direction } = this.detector.options;
+        if (events.length === 0) {
+            throw new AlignmentError(`No ${direction} crossing of ${level} in ${this.channel} of the ${description}`);
+        }
+        return events[0].time;
+    }
+
+    toJSON() {
+        if (this.mode !== 'trigger') return { mode: this.mode };
+        
+        const { level, hysteresis, direction } = this.detector.options;
+        return { mode: this.mode, channel: this.channel, level, hysteresis, direction };
+    }
+}
+
+FileAlignment.MODES = ['start', 'absolute', 'trigger'];
+FileAlignment.AlignmentError = AlignmentError;
+
+module.exports = FileAlignment;
@@ -0,0 +1,73 @@
+const EventEmitter = require('events');
+const BinaryFormatError = require('./BinaryFormatError');
+
+// Follows a file that is still being written: every interval ms the samples appended
+// since the last read are decoded (BinaryReader.readAppended()) and 'update' is emitted.
+// Stops by itself once the file holds all samples its header announces. A failed read is
+// retried with a doubling delay; after maxFailures consecutive failures, or as soon as the
+// file turns out to have been replaced, the tail stops.
+//
+// Events:
+//   update  { previousSamples, samples, complete }
+//   error   Error, stopped                          reading the new samples failed; stopped
+//                                                   is true when the tail gave up
+class LiveTail extends EventEmitter {
+    constructor(binaryReader, processor, options = {}) {
+        super();
+        this.binaryReader = binaryReader;
+        this.processor = processor;
+        this.interval = options.interval || 1000;
+        this.maxFailures = options.maxFailures || 5;
+        
+        this.timer = null;
+        this.running = false;
+        this.failures = 0;
+    }
+
+    start() {
+        this.running = true;
+        this.failures = 0;
+        this.schedule();
+    }
+
+    stop() {
+        this.running = false;
+        clearTimeout(this.timer);
+        this.timer = null;
+    }
+
+    // The next read is scheduled after the previous one finished, so reads never overlap
+    schedule() {
+        if (this.running) {
+            const delay = this.interval * 2 ** Math.max(0, this.failures - 1);
+            this.timer = setTimeout(() => this.poll(), delay);
+        }
+    }
+
+    async poll() {
+        try {
+            const appended = await this.binaryReader.readAppended();
+            if (appended) {
+                this.processor.dataAppended();
+                if (this.running) this.emit('update', appended);
+            }
+            this.failures = 0;
+        } catch (error) {
+            // Nothing to report when stop() was called while the read was running
+            if (!this.running) return;
+            
+            this.failures++;
+            if (error.code === BinaryFormatError.FILE_REPLACED || this.failures >= this.maxFailures) {
+                this.stop();
+            }
+            this.emit('error', error, !this.running);
+        }
+        
+        if (this.binaryReader.isComplete()) {
+            this.stop();
+        }
+        this.schedule();
+    }
+}
+
+module.exports = LiveTail;
@@ -0,0 +1,288 @@
+const { VOLTAGE_RANGES, writeChunk, writeToFile } = require('./utils');
+
+// MAT-file v5 data types
+const MI_INT8 = 1;
+const MI_INT32 = 5;
+const MI_UINT16 = 4;
+const MI_UINT32 = 6;
+const MI_SINGLE = 7;
+const MI_DOUBLE = 9;
+const MI_MATRIX = 14;
+
+// MAT-file v5 array classes
+const MX_CELL_CLASS = 1;
+const MX_STRUCT_CLASS = 2;
+const MX_CHAR_CLASS = 4;
+const MX_DOUBLE_CLASS = 6;
+const MX_SINGLE_CLASS = 7;
+
+const FIELD_NAME_LENGTH = 32;
+
+// Element sizes are stored as 32-bit unsigned integers
+const MAX_ELEMENT_SIZE = 0xFFFFFFFF;
+
+// Raised when a variable does not fit into a MAT v5 element (4 GiB)
+class MatSizeError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'MatSizeError';
+    }
+}
+
+// Writes the channels of a BinaryReader as a MATLAB .mat (v5) file.
+// Every channel becomes a struct variable (time, values, label, unit, ...) and
+// the file header becomes a "metadata" struct. Annotations (see AnnotationStore)
+// become an "annotations" struct of column arrays, endTime is NaN for points.
+class MatExporter {
+    constructor(reader, filename, annotations = [], options = {}) {
+        this.reader = reader;
+        this.filename = filename;
+        this.annotations = annotations;
+        this.log = options.log || console.log; // progress messages, see BinaryReader
+    }
+
+    // Variables in file order: metadata (and annotations) first, then raw and calculated channels.
+    // channelIds optionally restricts the exported channels.
+    buildVariables(channelIds = null) {
+        const metadata = this.reader.getMetadata();
+        const allChannels = this.reader.getAllChannels();
+        const variables = [{ name: 'metadata', value: this.buildMetadataStruct(metadata) }];
+        if (this.annotations.length > 0) {
+            variables.push({ name: 'annotations', value: this.buildAnnotationStruct(this.annotations) });
+        }
+        
+        const include = (id) => !channelIds || channelIds.includes(id);
+        
+        for (const [index, channel] of Object.entries(allChannels.raw)) {
+            const id = `channel_${index}`;
+            if (include(id)) variables.push({ name: id, value: this.buildChannelStruct(channel, 'raw', metadata) });
+        }
+        
+        for (const [index, channel] of Object.entries(allChannels.calculated)) {
+            const id = `calc_${index}`;
+            if (include(id)) variables.push({ name: id, value: this.buildChannelStruct(channel, 'calculated', metadata) });
+        }
+        
+        return variables;
+    }
+
+    buildMetadataStruct(metadata) {
+        const calibration = metadata.calibrationProfile || { name: null };
+        
+        return {
+            sourceFile: this.filename,
+            header: metadata.header,
+            startTime: metadata.binaryUnixMs ? new Date(metadata.binaryUnixMs).toISOString() : '',
+            startTimeUnixMs: metadata.binaryUnixMs,
+            samplingInterval_ns: metadata.samplingInterval,
+            samplingRate_Hz: 1e9 / metadata.samplingInterval,
+            bufferSize: metadata.bufferSize,
+            maxAdcValue: metadata.maxAdcValue,
+            channelRanges: metadata.channelRanges,
+            channelRanges_V: metadata.channelRanges.map(range => (calibration.voltageRanges || VOLTAGE_RANGES)[range] || 5.0),
+            channelScaling: metadata.channelScaling,
+            downsampling: metadata.downsampling,
+            calibrationProfile: calibration.name || '',
+            calibrationMatchedBy: calibration.matchedBy || '',
+            calibrationConstants: calibration.constants || {}
+        };
+    }
+
+    buildAnnotationStruct(annotations) {
+        const column = (field) => annotations.map(annotation => annotation[field]);
+        
+        return {
+            time: Float64Array.from(column('time')),
+            endTime: Float64Array.from(annotations, annotation => annotation.endTime !== undefined ? annotation.endTime : NaN),
+            type: column('type'),
+            text: column('text'),
+            author: column('author'),
+            color: column('color')
+        };
+    }
+
+    buildChannelStruct(channel, type, metadata) {
+        // Recompute the time axis in double precision rather than widening the Float32 axis
+        const dtSeconds = (metadata.samplingInterval * channel.downsampling) / 1e9;
+        const time = new Float64Array(channel.points);
+        for (let i = 0; i < channel.points; i++) {
+            time[i] = i * dtSeconds;
+        }
+        
+        const struct = {
+            time,
+            values: channel.values,
+            label: channel.label,
+            unit: channel.unit,
+            type,
+            downsampling: channel.downsampling,
+            samplingInterval_s: dtSeconds
+        };
+        
+        if (channel.sourceChannels) {
+            struct.sourceChannels = channel.sourceChannels;
+        }
+        
+        return struct;
+    }
+
+    // Serialize to a list of Buffers (large arrays are referenced, not copied).
+    // Throws a MatSizeError before anything is written when a variable exceeds 4 GiB.
+    buildParts(channelIds = null) {
+        const parts = [this.buildFileHeader()];
+        
+        for (const variable of this.buildVariables(channelIds)) {
+            try {
+                parts.push(...encodeValue(variable.name, variable.value));
+            } catch (error) {
+                if (!(error instanceof MatSizeError)) throw error;
+                throw new MatSizeError(`${variable.name} is too large for MAT v5 (more than 4 GiB), crop the file or export CSV`);
+            }
+        }
+        
+        return parts;
+    }
+
+    // 128-byte header: descriptive text, subsystem offset, version and endian indicator
+    buildFileHeader() {
+        const header = Buffer.alloc(128, ' ');
+        const text = `MATLAB 5.0 MAT-file, Platform: ${process.platform}, ` +
+            `Created on: ${new Date().toUTCString()} by simple-binary-plotter`;
+        header.write(text.substring(0, 116), 0, 'ascii');
+        header.fill(0, 116, 124);
+        header.writeUInt16LE(0x0100, 124);
+        header.write('IM', 126, 'ascii');
+        return header;
+    }
+
+    // Write parts of buildParts(). Stops early when the stream is destroyed, e.g. by an
+    // aborted download.
+    async writeToStream(stream, parts) {
+        for (const part of parts) {
+            if (!await writeChunk(stream, part)) return;
+        }
+        stream.end();
+    }
+
+    async writeFile(outputPath, channelIds = null) {
+        this.log(`Writing MAT-file: ${outputPath}`);
+        const parts = this.buildParts(channelIds);
+        await writeToFile(outputPath, stream => this.writeToStream(stream, parts));
+    }
+}
+
+// Encode a JS value as a named miMATRIX element
+function encodeValue(name, value) {
+    if (typeof value === 'string') {
+        return encodeChar(name, value);
+    }
+    if (value instanceof Float32Array) {
+        return encodeNumeric(name, value, MX_SINGLE_CLASS, MI_SINGLE, [value.length, 1]);
+    }
+    if (value instanceof Float64Array) {
+        return encodeNumeric(name, value, MX_DOUBLE_CLASS, MI_DOUBLE, [value.length, 1]);
+    }
+    if (Array.isArray(value) && value.length > 0 && value.every(item => typeof item === 'string')) {
+        return encodeCell(name, value);
+    }
+    if (Array.isArray(value)) {
+        return encodeNumeric(name, Float64Array.from(value), MX_DOUBLE_CLASS, MI_DOUBLE, [1, value.length]);
+    }
+    if (typeof value === 'number') {
+        return encodeNumeric(name, Float64Array.of(value), MX_DOUBLE_CLASS, MI_DOUBLE, [1, 1]);
+    }
+    if (value && typeof value === 'object') {
+        return encodeStruct(name, value);
+    }
+    // null/undefined become an empty double matrix
+    return encodeNumeric(name, new Float64Array(0), MX_DOUBLE_CLASS, MI_DOUBLE, [0, 0]);
+}
+
+function encodeNumeric(name, typedArray, mxClass, miType, dims) {
+    const data = Buffer.from(typedArray.buffer, typedArray.byteOffset, typedArray.byteLength);
+    return encodeMatrix(name, mxClass, dims, dataElement(miType, data));
+}
+
+function encodeChar(name, text) {
+    const codeUnits = new Uint16Array(text.length);
+    for (let i = 0; i < text.length; i++) {
+        codeUnits[i] = text.charCodeAt(i);
+    }
+    const data = Buffer.from(codeUnits.buffer);
+    const dims = text.length > 0 ? [1, text.length] : [0, 0];
+    return encodeMatrix(name, MX_CHAR_CLASS, dims, dataElement(MI_UINT16, data));
+}
+
+// Column cell array of strings
+function encodeCell(name, strings) {
+    const body = [];
+    for (const text of strings) {
+        body.push(...encodeChar('', text));
+    }
+    return encodeMatrix(name, MX_CELL_CLASS, [strings.length, 1], body);
+}
+
+function encodeStruct(name, object) {
+    const fieldNames = Object.keys(object);
+    const namesBuffer = Buffer.alloc(fieldNames.length * FIELD_NAME_LENGTH);
+    fieldNames.forEach((fieldName, i) => {
+        namesBuffer.write(fieldName.substring(0, FIELD_NAME_LENGTH - 1), i * FIELD_NAME_LENGTH, 'ascii');
+    });
+    
+    const lengthData = Buffer.alloc(4);
+    lengthData.writeInt32LE(FIELD_NAME_LENGTH);
+    
+    const body = [
+        ...dataElement(MI_INT32, lengthData),
+        ...dataElement(MI_INT8, namesBuffer)
+    ];
+    for (const fieldName of fieldNames) {
+        // Struct fields are unnamed matrices in field-name order
+        body.push(...encodeValue('', object[fieldName]));
+    }
+    
+    return encodeMatrix(name, MX_STRUCT_CLASS, [1, 1], body);
+}
+
+function encodeMatrix(name, mxClass, dims, bodyParts) {
+    const flags = Buffer.alloc(8);
+    flags.writeUInt32LE(mxClass, 0);
+    
+    const dimsData = Buffer.alloc(dims.length * 4);
+    dims.forEach((dim, i) => dimsData.writeInt32LE(dim, i * 4));
+    
+    const contents = [
+        ...dataElement(MI_UINT32, flags),
+        ...dataElement(MI_INT32, dimsData),
+        ...dataElement(MI_INT8, Buffer.from(name, 'ascii')),
+        ...bodyParts
+    ];
+    
+    const size = contents.reduce((sum, part) => sum + part.length, 0);
+    return [tag(MI_MATRIX, size), ...contents];
+}
+
+// Tag + data + padding to the next 8-byte boundary
+function dataElement(miType, data) {
+    const parts = [tag(miType, data.length)];
+    if (data.length > 0) parts.push(data);
+    
+    const padding = (8 - (data.length % 8)) % 8;
+    if (padding > 0) parts.push(Buffer.alloc(padding));
+    
+    return parts;
+}
+
+function tag(miType, size) {
+    if (size > MAX_ELEMENT_SIZE) {
+        throw new MatSizeError(`Data element of ${size} bytes exceeds the MAT v5 limit`);
+    }
+    const buffer = Buffer.alloc(8);
+    buffer.writeUInt32LE(miType, 0);
+    buffer.writeUInt32LE(size, 4);
+    return buffer;
+}
+
+MatExporter.MatSizeError = MatSizeError;
+
+module.exports = MatExporter;
@@ -0,0 +1,188 @@
+// Multi-resolution min/max index for one channel.
+// Level L stores, for every full bucket of baseSize * factor^L samples, the
+// minimum and maximum value and the sample index where each occurs. A range
+// query combines whole buckets from the coarsest level that fits and descends
+// only for the partial buckets at the edges, so its cost does not grow with
+// the number of samples in the range.
+class MinMaxPyramid {
+    constructor(values, options = {}) {
+        this.values = values;
+        this.baseSize = options.baseSize || 8;
+        this.factor = options.factor || 4;
+        this.levels = [];
+        
+        this.build();
+    }
+
+    build() {
+        this.levels = [];
+        this.fillLevels();
+    }
+
+    // The channel grew (live tail mode): values is the extended array, whose first
+    // samples are unchanged. Only the buckets completed by the new samples are computed.
+    extend(values) {
+        this.values = values;
+        this.fillLevels();
+    }
+
+    // Compute the buckets of every level that are complete but not stored yet
+    fillLevels() {
+        const values = this.values;
+        
+        // Level 0 from the raw samples
+        let size = this.baseSize;
+        let count = Math.floor(values.length / size);
+        let level = this.reserveLevel(0, size, count);
+        
+        for (let k = level.count; k < count; k++) {
+            const start = k * size;
+            let minIndex = start;
+            let maxIndex = start;
+            for (let i = start + 1; i < start + size; i++) {
+                if (values[i] < values[minIndex]) minIndex = i;
+                if (values[i] > values[maxIndex]) maxIndex = i;
+            }
+            level.minIndex[k] = minIndex;
+            level.maxIndex[k] = maxIndex;
+            level.min[k] = values[minIndex];
+            level.max[k] = values[maxIndex];
+        }
+        level.count = count;
+        
+        // Coarser levels from the previous level
+        for (let levelIndex = 1; count >= this.factor; levelIndex++) {
+            const previous = level;
+            size *= this.factor;
+            count = Math.floor(previous.count / this.factor);
+            level = this.reserveLevel(levelIndex, size, count);
+            
+            for (let k = level.count; k < count; k++) {
+                const first = k * this.factor;
+                let minBucket = first;
+                let maxBucket = first;
+                for (let j = first + 1; j < first + this.factor; j++) {
+                    if (previous.min[j] < previous.min[minBucket]) minBucket = j;
+                    if (previous.max[j] > previous.max[maxBucket]) maxBucket = j;
+                }
+                level.min[k] = previous.min[minBucket];
+                level.max[k] = previous.max[maxBucket];
+                level.minIndex[k] = previous.minIndex[minBucket];
+                level.maxIndex[k] = previous.maxIndex[maxBucket];
+            }
+            level.count = count;
+        }
+    }
+
+    // Level levelIndex with room for count buckets. Its arrays grow by half their size
+    // so extending the pyramid does not copy every level on each append.
+    reserveLevel(levelIndex, size, count) {
+        const level = this.levels[levelIndex];
+        if (!level) {
+            const allocated = this.allocateLevel(size, count);
+            this.levels.push(allocated);
+            return allocated;
+        }
+        if (level.min.length < count) {
+            const grown = this.allocateLevel(size, Math.ceil(count * 1.5));
+            grown.min.set(level.min.subarray(0, level.count));
+            grown.max.set(level.max.subarray(0, level.count));
+            grown.minIndex.set(level.minIndex.subarray(0, level.count));
+            grown.maxIndex.set(level.maxIndex.subarray(0, level.count));
+            grown.count = level.count;
+            this.levels[levelIndex] = grown;
+            return grown;
+        }
+        return level;
+    }
+
+    // Arrays for capacity buckets, none of them filled yet
+    allocateLevel(size, capacity) {
+        return {
+            size,
+            count: 0,
+            min: new Float32Array(capacity),
+            max: new Float32Array(capacity),
+            minIndex: new Uint32Array(capacity),
+            maxIndex: new Uint32Array(capacity)
+        };
+    }
+
+    // Min/max of values[start, end) with the sample indices where they occur
+    rangeMinMax(start, end) {
+        const result = { min: Infinity, max: -Infinity, minIndex: -1, maxIndex: -1 };
+        if (end <= start) return result;
+        
+        // Start at the coarsest level whose buckets fit into the range
+        let levelIndex = this.levels.length - 1;
+        while (levelIndex >= 0 && this.levels[levelIndex].size > end - start) {
+            levelIndex--;
+        }
+        
+        this.queryLevel(start, end, levelIndex, result);
+        return result;
+    }
+
+    queryLevel(start, end, levelIndex, result) {
+        if (end <= start) return;
+        
+        if (levelIndex < 0) {
+            const values = this.values;
+            for (let i = start; i < end; i++) {
+                if (values[i] < result.min) { result.min = values[i]; result.minIndex = i; }
+                if (values[i] > result.max) { result.max = values[i]; result.maxIndex = i; }
+            }
+            return;
+        }
+        
+        const level = this.levels[levelIndex];
+        const firstBucket = Math.ceil(start / level.size);
+        const endBucket = Math.floor(end / level.size);
+        
+        if (firstBucket >= endBucket) {
+            this.queryLevel(start, end, levelIndex - 1, result);
+            return;
+        }
+        
+        for (let k = firstBucket; k < endBucket; k++) {
+            if (level.min[k] < result.min) { result.min = level.min[k]; result.minIndex = level.minIndex[k]; }
+            if (level.max[k] > result.max) { result.max = level.max[k]; result.maxIndex = level.maxIndex[k]; }
+        }
+        
+        // Partial buckets at both edges
+        this.queryLevel(start, firstBucket * level.size, levelIndex - 1, result);
+        this.queryLevel(endBucket * level.size, end, levelIndex - 1, result);
+    }
+
+    // Sample indices of the min and max of each of `buckets` contiguous buckets
+    // covering [start, end), in ascending order (so the trace keeps its shape)
+    minMaxIndices(start, end, buckets) {
+        const total = end - start;
+        const indices = [];
+        
+        for (let k = 0; k < buckets; k++) {
+            const bucketStart = start + Math.floor((k * total) / buckets);
+            const bucketEnd = start + Math.floor(((k + 1) * total) / buckets);
+            if (bucketEnd <= bucketStart) continue;
+            
+            const { minIndex, maxIndex } = this.rangeMinMax(bucketStart, bucketEnd);
+            if (minIndex < 0 || maxIndex < 0) continue; // all NaN
+            
+            if (minIndex === maxIndex) {
+                indices.push(minIndex);
+            } else if (minIndex < maxIndex) {
+                indices.push(minIndex, maxIndex);
+            } else {
+                indices.push(maxIndex, minIndex);
+            }
+        }
+        
+        return indices;
+    }
+
+    getMemoryUsage() {
+        return this.levels.reduce((sum, level) => sum + level.min.length * 16, 0);
+    }
+}
+
+module.exports = MinMaxPyramid;
@@ -0,0 +1,324 @@
+const fs = require('fs');
+const path = require('path');
+const { Expression } = require('./Expression');
+const SignalFilter = require('./SignalFilter');
+
+// Channels can be referenced as ch0..ch7, channel_0..channel_7 or calc_<name>
+const CHANNEL_REFERENCE = /^(?:ch[0-7]|channel_[0-7]|calc_[A-Za-z0-9_]+)$/;
+
+// Samples per evaluation of the energy expression, keeps its temporary arrays small
+const ENERGY_CHUNK_SIZE = 65536;
+
+// ch<n> is shorthand for channel_<n>
+function toChannelId(reference) {
+    return reference.replace(/^ch([0-7])$/, 'channel_$1');
+}
+
+// Rule-based segmentation of a weld cycle into process phases.
+//
+//   blockDuration: 0.001          # classification resolution in seconds
+//   minPhaseDuration: 0.05        # shorter runs are absorbed by the preceding phase
+//   defaultPhase: idle            # phase of blocks no rule matches
+//   signals:                      # block means of channel expressions
+//     current: { expression: "calc_3 + calc_4" }
+//     currentAvg: { expression: "calc_3 + calc_4", smooth: 0.5 }   # centered moving average (s)
+//   phases:                       # first matching phase wins
+//     - name: upset
+//       color: "rgba(230, 126, 34, 0.15)"
+//       when: { force: { above: 50 }, current: { below: 1000 } }
+//   energy: "calc_5 * (calc_3 + calc_4)"   # power in W per sample, integrated per phase
+//   peakForce: calc_6                      # channel whose maximum is reported per phase
+class PhaseSegmenter {
+    constructor(definition, source = 'inline') {
+        this.source = source;
+        this.blockDuration = definition.blockDuration !== undefined ? definition.blockDuration : 0.001;
+        this.minPhaseDuration = definition.minPhaseDuration !== undefined ? definition.minPhaseDuration : 0.05;
+        this.defaultPhase = definition.defaultPhase || 'idle';
+        
+        if (!(this.blockDuration > 0)) {
+            throw new Error(`${source}: blockDuration must be a positive number of seconds`);
+        }
+        if (!(this.minPhaseDuration >= 0)) {
+            throw new Error(`${source}: minPhaseDuration must not be negative`);
+        }
+        
+        this.signals = this.parseSignals(definition.signals || {});
+        this.phases = this.parsePhases(definition.phases);
+        this.energy = definition.energy ? this.parseExpression(definition.energy, 'energy') : null;
+        this.peakForce = definition.peakForce || null;
+        
+        if (this.peakForce && !CHANNEL_REFERENCE.test(this.peakForce)) {
+            throw new Error(`${source}: peakForce must be a channel ID, got "${this.peakForce}"`);
+        }
+        if (this.peakForce) this.peakForce = toChannelId(this.peakForce);
+    }
+
+    static async load(filePath = PhaseSegmenter.DEFAULT_PATH) {
+        const text = await fs.promises.readFile(filePath, 'utf8');
+        
+        let definition;
+        try {
+            definition = JSON.parse(text);
+        } catch (error) {
+            throw new Error(`Could not parse ${filePath}: ${error.message}`);
+        }
+        
+        return new PhaseSegmenter(definition, filePath);
+    }
+
+    parseExpression(source, where) {
+        const expression = new Expression(source);
+        for (const name of expression.getReferences()) {
+            if (!CHANNEL_REFERENCE.test(name)) {
+                throw new Error(`${this.source}: ${where} references unknown channel "${name}"`);
+            }
+        }
+        return expression;
+    }
+
+    parseSignals(signals) {
+        const parsed = {};
+        for (const [name, signal] of Object.entries(signals)) {
+            const definition = typeof signal === 'string' ? { expression: signal } : signal;
+            if (!definition || !definition.expression) {
+                throw new Error(`${this.source}: signal ${name} needs an expression`);
+            }
+            
+            parsed[name] = {
+                expression: this.parseExpression(definition.expression, `signal ${name}`),
+                smooth: definition.smooth || 0
+            };
+        }
+        return parsed;
+    }
+
+    parsePhases(phases) {
+        if (!Array.isArray(phases) || phases.length === 0) {
+            throw new Error(`${this.source}: "phases" must be a non-empty list`);
+        }
+        
+        return phases.map((phase, position) => {
+            const where = `${this.source}: phase #${position + 1}`;
+            if (!phase || typeof phase.name !== 'string' || !phase.name) {
+                throw new Error(`${where}: name is required`);
+            }
+            
+            const conditions = Object.entries(phase.when || {}).map(([signal, bounds]) => {
+                if (!this.signals[signal]) {
+                    throw new Error(`${where} (${phase.name}): unknown signal ${signal}`);
+                }
+                const above = bounds.above !== undefined ? bounds.above : -Infinity;
+                const below = bounds.below !== undefined ? bounds.below : Infinity;
+                if (typeof above !== 'number' || typeof below !== 'number') {
+                    throw new Error(`${where} (${phase.name}): bounds of ${signal} must be numbers`);
+                }
+                return { signal, above, below };
+            });
+            
+            return { name: phase.name, color: phase.color || null, conditions };
+        });
+    }
+
+    // Colors by phase name, for the frontend legend
+    getPhaseColors() {
+        return Object.fromEntries(this.phases.map(phase => [phase.name, phase.color]));
+    }
+
+    // Segment the loaded file. Returns { segments, summary } where segments are the
+    // consecutive phases with start/end time, duration, energy (J) and peak force.
+    segment(processor) {
+        const timeRange = processor.getTimeRange();
+        const blockCount = Math.max(1, Math.ceil((timeRange.max - timeRange.min) / this.blockDuration));
+        const blockMeans = {};
+        
+        const resolve = (name) => {
+            const channelId = toChannelId(name);
+            if (!blockMeans[channelId]) {
+                const channelData = processor.getChannelById(channelId);
+                if (!channelData) return undefined;
+                blockMeans[channelId] = this.getBlockMeans(channelData.time, channelData.values, timeRange.min, blockCount);
+            }
+            return blockMeans[channelId];
+        };
+        
+        const signalValues = {};
+        for (const [name, signal] of Object.entries(this.signals)) {
+            let values = signal.expression.evaluate(resolve, blockCount);
+            if (signal.smooth > 0) {
+                values = new SignalFilter(`movavg:${signal.smooth}`).apply(values, 1 / this.blockDuration);
+            }
+            signalValues[name] = values;
+        }
+        const energy = this.energy ? this.getBlockEnergy(processor, timeRange, blockCount) : null;
+        
+        // Classify every block, then collapse runs of equal phases
+        const runs = [];
+        for (let block = 0; block < blockCount; block++) {
+            const phase = this.classify(signalValues, block);
+            const last = runs[runs.length - 1];
+            if (last && last.phase === phase) {
+                last.endBlock = block + 1;
+            } else {
+                runs.push({ phase, startBlock: block, endBlock: block + 1 });
+            }
+        }
+        
+        const segments = this.mergeShortRuns(runs).map(run => this.describeRun(run, processor, timeRange, energy));
+        return { blockDuration: this.blockDuration, segments, summary: this.summarize(segments) };
+    }
+
+    classify(signalValues, block) {
+        for (const phase of this.phases) {
+            const matches = phase.conditions.every(({ signal, above, below }) => {
+                const value = signalValues[signal][block];
+                return value > above && value < below;
+            });
+            if (matches) return phase.name;
+        }
+        return this.defaultPhase;
+    }
+
+    // Mean of the samples in each block; blocks without a sample (slow channels) hold the previous mean
+    getBlockMeans(time, values, startTime, blockCount) {
+        const sums = new Float64Array(blockCount);
+        const counts = new Uint32Array(blockCount);
+        
+        for (let i = 0; i < values.length; i++) {
+            const block = Math.min(blockCount - 1, Math.max(0, Math.floor((time[i] - startTime) / this.blockDuration)));
+            sums[block] += values[i];
+            counts[block]++;
+        }
+        
+        const means = new Float64Array(blockCount);
+        const firstFilled = counts.findIndex(count => count > 0);
+        let previous = firstFilled >= 0 ? sums[firstFilled] / counts[firstFilled] : 0;
+        for (let block = 0; block < blockCount; block++) {
+            if (counts[block] > 0) previous = sums[block] / counts[block];
+            means[block] = previous;
+        }
+        return means;
+    }
+
+    // Energy in J per block. The power expression is evaluated per sample on the time base of
+    // its fastest channel (slower channels hold their last value) and integrated within each
+    // block, so voltage and current ripple inside a block is not averaged away.
+    getBlockEnergy(processor, timeRange, blockCount) {
+        const channels = {};
+        let baseId = null;
+        for (const name of this.energy.getReferences()) {
+            const channelId = toChannelId(name);
+            const channelData = processor.getChannelById(channelId);
+            if (!channelData) continue;
+            channels[name] = channelData;
+            if (!baseId || channelData.points > channels[baseId].points) baseId = name;
+        }
+        
+        const energy = new Float64Array(blockCount);
+        if (!baseId) {
+            // A constant power, or a missing channel which evaluate() reports
+            const power = this.energy.evaluate(() => undefined, blockCount);
+            for (let block = 0; block < blockCount; block++) energy[block] = power[block] * this.blockDuration;
+            return energy;
+        }
+        
+        const base = channels[baseId];
+        const timeStep = processor.getChannelTimeStep(toChannelId(baseId));
+        const positions = {};
+        for (let start = 0; start < base.points; start += ENERGY_CHUNK_SIZE) {
+            const end = Math.min(base.points, start + ENERGY_CHUNK_SIZE);
+            const aligned = {};
+            const resolve = (name) => {
+                const channelData = channels[name];
+                if (!channelData) return undefined;
+                if (channelData === base) return base.values.subarray(start, end);
+                if (!aligned[name]) {
+                    aligned[name] = this.holdOnTimeBase(channelData, base.time, start, end, positions, name);
+                }
+                return aligned[name];
+            };
+            
+            const power = this.energy.evaluate(resolve, end - start);
+            for (let i = start; i < end; i++) {
+                const block = Math.min(blockCount - 1, Math.max(0, Math.floor((base.time[i] - timeRange.min) / this.blockDuration)));
+                energy[block] += power[i - start] * timeStep;
+            }
+        }
+        return energy;
+    }
+
+    // Values of a slower channel at time[start, end): the last sample at or before each time.
+    // positions[name] carries the search position from one chunk to the next.
+    holdOnTimeBase(channelData, time, start, end, positions, name) {
+        const values = new Float64Array(end - start);
+        let j = positions[name] || 0;
+        for (let i = start; i < end; i++) {
+            while (j + 1 < channelData.points && channelData.time[j + 1] <= time[i]) j++;
+            values[i - start] = channelData.values[j];
+        }
+        positions[name] = j;
+        return values;
+    }
+
+    // Runs shorter than minPhaseDuration are absorbed by the preceding run
+    // (the first run by the following one), then equal neighbours are joined
+    mergeShortRuns(runs) {
+        const minBlocks = this.minPhaseDuration / this.blockDuration;
+        const merged = [];
+        
+        for (const run of runs) {
+            const last = merged[merged.length - 1];
+            if (last && (run.endBlock - run.startBlock < minBlocks || last.phase === run.phase)) {
+                last.endBlock = run.endBlock;
+            } else if (last && last.endBlock - last.startBlock < minBlocks && merged.length === 1) {
+                merged[0] = { ...run, startBlock: last.startBlock };
+            } else {
+                merged.push({ ...run });
+            }
+        }
+        
+        return merged;
+    }
+
+    describeRun(run, processor, timeRange, energy) {
+        const startTime = timeRange.min + run.startBlock * this.blockDuration;
+        const endTime = Math.min(timeRange.max, timeRange.min + run.endBlock * this.blockDuration);
+        const segment = { phase: run.phase, startTime, endTime, duration: endTime - startTime };
+        
+        if (energy) {
+            segment.energy = 0;
+            for (let block = run.startBlock; block < run.endBlock; block++) segment.energy += energy[block];
+        }
+        
+        const forceChannel = this.peakForce && processor.getChannelById(this.peakForce);
+        if (forceChannel) {
+            const { startIdx, endIdx } = processor.getIndexRange(forceChannel.time, startTime, endTime);
+            const { max, maxIndex } = processor.getPyramid(this.peakForce).rangeMinMax(startIdx, endIdx);
+            segment.peakForce = maxIndex >= 0 ? max : null;
+            segment.peakForceTime = maxIndex >= 0 ? forceChannel.time[maxIndex] : null;
+        }
+        
+        return segment;
+    }
+
+    // Totals per phase name, in configuration order
+    summarize(segments) {
+        const names = [...new Set([...this.phases.map(phase => phase.name), this.defaultPhase])];
+        
+        return names.map(name => {
+            const matching = segments.filter(segment => segment.phase === name);
+            const peaks = matching.filter(segment => segment.peakForce !== undefined && segment.peakForce !== null);
+            
+            return {
+                phase: name,
+                count: matching.length,
+                duration: matching.reduce((sum, segment) => sum + segment.duration, 0),
+                energy: this.energy ? matching.reduce((sum, segment) => sum + segment.energy, 0) : undefined,
+                peakForce: peaks.length > 0 ? Math.max(...peaks.map(segment => segment.peakForce)) : null
+            };
+        }).filter(entry => entry.count > 0);
+    }
+}
+
+PhaseSegmenter.DEFAULT_PATH = path.join(__dirname, '..', 'config', 'process-phases.json');
+
+module.exports = PhaseSegmenter;
@@ -0,0 +1,296 @@
+const { getChannelColor, getYAxisForUnit, describeTimestamp } = require('./utils');
+
+// Raised for render requests that cannot be drawn, e.g. unknown channels or an invalid size
+class RenderError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'RenderError';
+    }
+}
+
+// Axis titles and colors of the browser plot, by axis of getYAxisForUnit
+const AXES = {
+    y: { title: 'Voltage', unit: 'V', color: '#e74c3c' },
+    y2: { title: 'Current', unit: 'A', color: '#3498db' },
+    y3: { title: 'Force', unit: 'kN', color: '#f39c12' },
+    y4: { title: 'Pressure', unit: 'Bar', color: '#9b59b6' }
+};
+
+const FONT = 'Helvetica, Arial, sans-serif';
+const MARGIN = { top: 70, bottom: 50, left: 75 };
+const AXIS_SPACING = 70;   // width taken by each additional y axis on the right
+const LEGEND_WIDTH = 190;
+const SIZE_LIMITS = { min: 300, max: 4000 };
+
+// Draws channels of a loaded file as a static SVG chart for reports: min/max-decimated
+// traces (two points per pixel column, so spikes survive), one y axis per unit as in the
+// browser plot, legend with units and a title from the file metadata. PNG output
+// rasterizes the SVG with the optional @resvg/resvg-js package.
+class PlotRenderer {
+    constructor(processor, metadata, filename) {
+        this.processor = processor;
+        this.metadata = metadata;
+        this.filename = filename;
+    }
+
+    // SVG document of the channels between options.start and options.end (whole file by default).
+    // options: width, height (px), title, filter (SignalFilter), id (element ID prefix). Throws RenderError.
+    render(channelIds, options = {}) {
+        const width = this.parseSize(options.width, 1200, 'width');
+        const height = this.parseSize(options.height, 600, 'height');
+        const { start, end } = this.parseWindow(options.start, options.end);
+        
+        if (!Array.isArray(channelIds) || channelIds.length === 0) {
+            throw new RenderError('At least one channel is required');
+        }
+        
+        // The first axis in use goes left, the others stack up on the right
+        const axisIds = [...new Set(channelIds.map(channelId => {
+            const channelData = this.processor.getChannelById(channelId);
+            if (!channelData) throw new RenderError(`Channel ${channelId} not found`);
+            return getYAxisForUnit(channelData.unit);
+        }))].sort();
+        
+        const plot = {
+            left: MARGIN.left,
+            right: width - LEGEND_WIDTH - (axisIds.length - 1) * AXIS_SPACING,
+            top: MARGIN.top,
+            bottom: height - MARGIN.bottom
+        };
+        if (plot.right - plot.left < 100 || plot.bottom - plot.top < 100) {
+            throw new RenderError(`${width}x${height} px is too small for ${axisIds.length} y axes`);
+        }
+        
+        // Unique per image so several SVGs can be inlined into one HTML page
+        const clipId = `${options.id || 'plot'}-area`;
+        const traces = channelIds.map(channelId => this.getTrace(channelId, start, end, plot.right - plot.left, options.filter));
+        const axes = axisIds.map((axisId, position) => this.buildAxis(axisId, position, traces, plot));
+        const x = this.scale(start, end, plot.left, plot.right);
+        
+        return [
+            `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" font-family="${FONT}">`,
+            `<rect width="${width}" height="${height}" fill="#ffffff"/>`,
+            `<defs><clipPath id="${clipId}"><rect x="${plot.left}" y="${plot.top}" width="${plot.right - plot.left}" height="${plot.bottom - plot.top}"/></clipPath></defs>`,
+            ...this.renderTitle(options.title, start, end, width),
+            ...this.renderTimeAxis(start, end, x, plot),
+            ...axes.flatMap(axis => this.renderYAxis(axis, plot)),
+            `<rect x="${plot.left}" y="${plot.top}" width="${plot.right - plot.left}" height="${plot.bottom - plot.top}" fill="none" stroke="#2c3e50" stroke-width="1"/>`,
+            `<g clip-path="url(#${clipId})">`,
+            ...traces.map(trace => this.renderTrace(trace, x, axes.find(axis => axis.id === trace.axis))),
+            '</g>',
+            ...this.renderLegend(traces, width - LEGEND_WIDTH + 20, plot.top),
+            '</svg>'
+        ].join('\n') + '\n';
+    }
+
+    parseSize(value, fallback, name) {
+        if (value === undefined || value === null || value === '') return fallback;
+        
+        const size = Number(value);
+        if (!Number.isInteger(size) || size < SIZE_LIMITS.min || size > SIZE_LIMITS.max) {
+            throw new RenderError(`${name} must be an integer between ${SIZE_LIMITS.min} and ${SIZE_LIMITS.max} px`);
+        }
+        return size;
+    }
+
+    parseWindow(startValue, endValue) {
+        const timeRange = this.processor.getTimeRange();
+        const start = startValue !== undefined && startValue !== null && startValue !== '' ? Number(startValue) : timeRange.min;
+        const end = endValue !== undefined && endValue !== null && endValue !== '' ? Number(endValue) : timeRange.max;
+        
+        if (!isFinite(start) || !isFinite(end) || !(end > start)) {
+            throw new RenderError(`Invalid time window: ${startValue} - ${endValue}`);
+        }
+        return { start, end };
+    }
+
+    // Min/max-decimated samples of a channel with its legend text, color and axis
+    getTrace(channelId, start, end, plotWidth, filter) {
+        const channelData = this.processor.getChannelById(channelId);
+        const { time, values } = this.processor.getResampledData(channelId, start, end, Math.round(plotWidth) * 2, 'minmax', filter);
+        const raw = !channelId.startsWith('calc_');
+        
+        return {
+            id: channelId,
+            name: `${channelData.label} [${channelData.unit}]` + (filter ? ` (${filter.key})` : ''),
+            unit: channelData.unit,
+            color: getChannelColor(channelId, channelData.color),
+            width: raw ? 1 : 2,
+            opacity: raw ? 0.7 : 1,
+            axis: getYAxisForUnit(channelData.unit),
+            time,
+            values
+        };
+    }
+
+    // Range, ticks and placement of a y axis shared by all traces with its unit
+    buildAxis(axisId, position, traces, plot) {
+        const axisTraces = traces.filter(trace => trace.axis === axisId);
+        let min = Infinity;
+        let max = -Infinity;
+        for (const trace of axisTraces) {
+            for (const value of trace.values) {
+                if (value < min) min = value;
+                if (value > max) max = value;
+            }
+        }
+        
+        if (min === Infinity) {
+            min = 0;
+            max = 1;
+        } else if (min === max) {
+            const margin = Math.abs(min) * 0.1 || 1;
+            min -= margin;
+            max += margin;
+        }
+        const padding = (max - min) * 0.05;
+        min -= padding;
+        max += padding;
+        
+        const units = [...new Set(axisTraces.map(trace => trace.unit))];
+        const definition = AXES[axisId];
+        const title = units.length === 1 && units[0] === definition.unit
+            ? `${definition.title} [${definition.unit}]`
+            : `[${units.join(', ')}]`;
+        
+        return {
+            id: axisId,
+            title,
+            color: definition.color,
+            side: position === 0 ? 'left' : 'right',
+            position: position === 0 ? plot.left : plot.right + (position - 1) * AXIS_SPACING,
+            ticks: this.getTicks(min, max),
+            y: this.scale(min, max, plot.bottom, plot.top)
+        };
+    }
+
+    renderTitle(title, start, end, width) {
+        const timestamp = describeTimestamp(this.metadata);
+        const details = [
+            this.metadata.header,
+            timestamp.unixMs ? `${timestamp.local.replace('T', ' ').slice(0, 19)} (${timestamp.timeZone})` : null,
+            `${formatNumber(start)} - ${formatNumber(end)} s`
+        ].filter(Boolean).join('  •  ');
+        
+        return [
+            `<text x="${width / 2}" y="28" text-anchor="middle" font-size="18" fill="#2c3e50">${escapeXml(title || this.filename)}</text>`,
+            `<text x="${width / 2}" y="48" text-anchor="middle" font-size="12" fill="#7f8c8d">${escapeXml(details)}</text>`
+        ];
+    }
+
+    renderTimeAxis(start, end, x, plot) {
+        const ticks = this.getTicks(start, end);
+        const elements = [];
+        
+        for (const tick of ticks.values) {
+            const position = x(tick).toFixed(1);
+            elements.push(
+                `<line x1="${position}" y1="${plot.top}" x2="${position}" y2="${plot.bottom}" stroke="#000000" stroke-opacity="0.1"/>`,
+                `<text x="${position}" y="${plot.bottom + 16}" text-anchor="middle" font-size="11" fill="#2c3e50">${formatTick(tick, ticks.step)}</text>`
+            );
+        }
+        elements.push(`<text x="${(plot.left + plot.right) / 2}" y="${plot.bottom + 38}" text-anchor="middle" font-size="12" fill="#2c3e50">Time [s]</text>`);
+        
+        return elements;
+    }
+
+    renderYAxis(axis, plot) {
+        const left = axis.side === 'left';
+        const direction = left ? -1 : 1;
+        const elements = [
+            `<line x1="${axis.position}" y1="${plot.top}" x2="${axis.position}" y2="${plot.bottom}" stroke="${axis.color}"/>`
+        ];
+        
+        for (const tick of axis.ticks.values) {
+            const position = axis.y(tick).toFixed(1);
+            if (left) {
+                elements.push(`<line x1="${plot.left}" y1="${position}" x2="${plot.right}" y2="${position}" stroke="${axis.color}" stroke-opacity="0.2"/>`);
+            }
+            elements.push(
+                `<line x1="${axis.position}" y1="${position}" x2="${axis.position + direction * 4}" y2="${position}" stroke="${axis.color}"/>`,
+                `<text x="${axis.position + direction * 7}" y="${position}" dy="0.35em" text-anchor="${left ? 'end' : 'start'}" font-size="11" fill="${axis.color}">${formatTick(tick, axis.ticks.step)}</text>`
+            );
+        }
+        
+        const titleX = axis.position + direction * 58;
+        const titleY = (plot.top + plot.bottom) / 2;
+        elements.push(`<text x="${titleX}" y="${titleY}" text-anchor="middle" font-size="12" fill="${axis.color}" transform="rotate(-90 ${titleX} ${titleY})">${escapeXml(axis.title)}</text>`);
+        
+        return elements;
+    }
+
+    renderTrace(trace, x, axis) {
+        if (trace.time.length === 0) return '';
+        
+        const points = [];
+        for (let i = 0; i < trace.time.length; i++) {
+            points.push(`${x(trace.time[i]).toFixed(1)},${axis.y(trace.values[i]).toFixed(1)}`);
+        }
+        return `<polyline points="${points.join(' ')}" fill="none" stroke="${trace.color}" stroke-width="${trace.width}" stroke-opacity="${trace.opacity}" stroke-linejoin="round"/>`;
+    }
+
+    renderLegend(traces, left, top) {
+        return traces.flatMap((trace, index) => {
+            const y = top + 10 + index * 20;
+            return [
+                `<line x1="${left}" y1="${y}" x2="${left + 24}" y2="${y}" stroke="${trace.color}" stroke-width="${Math.max(2, trace.width)}"/>`,
+                `<text x="${left + 30}" y="${y}" dy="0.35em" font-size="12" fill="#2c3e50">${escapeXml(trace.name)}</text>`
+            ];
+        });
+    }
+
+    // Linear map of [min, max] to [from, to]
+    scale(min, max, from, to) {
+        return value => from + (value - min) / (max - min) * (to - from);
+    }
+
+    // About six ticks at 1, 2 or 5 times a power of ten
+    getTicks(min, max) {
+        const rough = (max - min) / 6;
+        const magnitude = Math.pow(10, Math.floor(Math.log10(rough)));
+        const step = [1, 2, 5, 10].map(factor => factor * magnitude).find(candidate => candidate >= rough);
+        
+        const values = [];
+        for (let tick = Math.ceil(min / step) * step; tick <= max + step * 1e-9; tick += step) {
+            values.push(Math.abs(tick) < step * 1e-9 ? 0 : tick);
+        }
+        return { step, values };
+    }
+
+    static isPngAvailable() {
+        try {
+            require.resolve('@resvg/resvg-js');
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    // Rasterize an SVG document; needs the optional package @resvg/resvg-js
+    static toPng(svg) {
+        if (!PlotRenderer.isPngAvailable()) {
+            throw new RenderError('PNG output needs the optional package @resvg/resvg-js (npm install @resvg/resvg-js)');
+        }
+        
+        const { Resvg } = require('@resvg/resvg-js');
+        return new Resvg(svg, { font: { defaultFontFamily: 'Arial' } }).render().asPng();
+    }
+}
+
+function escapeXml(text) {
+    return String(text).replace(/[&<>"]/g, character => `&#${character.charCodeAt(0)};`);
+}
+
+// Tick labels with as many decimals as the tick step needs
+function formatTick(value, step) {
+    return value.toFixed(Math.max(0, -Math.floor(Math.log10(step))));
+}
+
+function formatNumber(value) {
+    return String(Number(value.toPrecision(6)));
+}
+
+PlotRenderer.RenderError = RenderError;
+PlotRenderer.FORMATS = ['svg', 'png'];
+
+module.exports = PlotRenderer;
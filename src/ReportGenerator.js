@@ -0,0 +1,274 @@
+const fs = require('fs');
+const path = require('path');
+const EventDetector = require('./EventDetector');
+const PlotRenderer = require('./PlotRenderer');
+const { describeTimestamp } = require('./utils');
+
+// Single-file HTML report of one measurement: metadata, channel setup, statistics of all
+// channels, inline SVG plots of the default channels, detected events and annotations.
+// The page has no external references, so it can be archived or mailed as it is.
+//
+//   title: "Weld Measurement Report"
+//   maxEventsPerRule: 50              # further events are counted, not listed
+//   events:                           # EventDetector rules run over the whole file
+//     - { label: "Current on/off", channel: calc_3, type: threshold, level: 1000, hysteresis: 200 }
+//     - { label: "Force peak", channel: calc_6, type: peak, prominence: 500, distance: 0.2 }
+class ReportGenerator {
+    constructor(definition = {}, source = 'inline') {
+        this.source = source;
+        this.title = definition.title || 'Measurement Report';
+        this.maxEventsPerRule = definition.maxEventsPerRule !== undefined ? definition.maxEventsPerRule : 50;
+        
+        if (!Number.isInteger(this.maxEventsPerRule) || this.maxEventsPerRule < 0) {
+            throw new Error(`${source}: maxEventsPerRule must be a whole number >= 0`);
+        }
+        
+        this.eventRules = (definition.events || []).map((rule, position) => {
+            const where = `${source}: event rule #${position + 1}`;
+            if (!rule || typeof rule.channel !== 'string' || !rule.channel) {
+                throw new Error(`${where}: channel is required`);
+            }
+            
+            try {
+                return {
+                    label: rule.label || `${rule.type} ${rule.channel}`,
+                    channel: rule.channel,
+                    detector: new EventDetector(rule.type, rule)
+                };
+            } catch (error) {
+                throw new Error(`${where}: ${error.message}`);
+            }
+        });
+    }
+
+    static async load(filePath = ReportGenerator.DEFAULT_PATH) {
+        const text = await fs.promises.readFile(filePath, 'utf8');
+        
+        let definition;
+        try {
+            definition = JSON.parse(text);
+        } catch (error) {
+            throw new Error(`Could not parse ${filePath}: ${error.message}`);
+        }
+        
+        return new ReportGenerator(definition, filePath);
+    }
+
+    // HTML document for a file read by BinaryReader and wrapped in a DataProcessor
+    async generate({ binaryReader, processor, filename, annotations = [] }) {
+        const metadata = binaryReader.getMetadata();
+        const timestamp = describeTimestamp(metadata);
+        const heading = `${this.title} - ${filename}`;
+        const statistics = await this.renderStatistics(processor);
+        
+        return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(heading)}</title>
+<style>
+    body { font-family: Helvetica, Arial, sans-serif; color: #2c3e50; margin: 24px auto; max-width: 1240px; padding: 0 20px; }
+    h1 { font-size: 24px; margin-bottom: 4px; }
+    h2 { font-size: 18px; border-bottom: 2px solid #3498db; padding-bottom: 4px; margin-top: 32px; }
+    .subtitle { color: #7f8c8d; font-size: 13px; }
+    table { border-collapse: collapse; font-size: 12px; margin: 8px 0; }
+    th, td { border: 1px solid #dfe4ea; padding: 4px 8px; text-align: left; }
+    th { background: #f4f6f8; }
+    td.number { text-align: right; font-variant-numeric: tabular-nums; }
+    .warning { color: #c0392b; }
+    .plot { margin: 12px 0; }
+    .plot svg { max-width: 100%; height: auto; border: 1px solid #dfe4ea; }
+    .note { color: #7f8c8d; font-size: 12px; }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(heading)}</h1>
+<div class="subtitle">Generated ${escapeHtml(new Date().toISOString().replace('T', ' ').slice(0, 19))} UTC${timestamp.unixMs ? ` • Recorded ${escapeHtml(timestamp.local.replace('T', ' '))} (${escapeHtml(timestamp.timeZone)})` : ''}</div>
+${this.renderMetadata(binaryReader, processor, filename, timestamp)}
+${this.renderChannelSetup(binaryReader, processor)}
+${statistics}
+${this.renderPlots(processor, metadata, filename)}
+${this.renderEvents(processor)}
+${this.renderAnnotations(annotations)}
+</body>
+</html>
+`;
+    }
+
+    renderMetadata(binaryReader, processor, filename, timestamp) {
+        const metadata = binaryReader.getMetadata();
+        const summary = processor.getMetadataSummary();
+        const diagnostics = binaryReader.getDiagnostics();
+        const calibration = binaryReader.getCalibrationProfile();
+        
+        const rows = [
+            ['File', filename],
+            ['Header', metadata.header],
+            ['Start', timestamp.unixMs ? `${timestamp.local} (${timestamp.iso} UTC, ${timestamp.kind} timestamp)` : 'unknown'],
+            ['Duration', `${formatNumber(summary.duration)} s`],
+            ['Sampling', `${formatNumber(summary.samplingRate)} Hz (${metadata.samplingInterval} ns)`],
+            ['Samples', `${diagnostics.completeSamples.toLocaleString('en-US')} of ${diagnostics.expectedSamples.toLocaleString('en-US')}`],
+            ['Buffer size', metadata.bufferSize.toLocaleString('en-US')],
+            ['Calibration', calibration.name ? `${calibration.name} (${calibration.matchedBy})` : 'none']
+        ];
+        if (calibration.name) {
+            rows.push(['Constants', Object.entries(calibration.constants).map(([name, value]) => `${name} = ${value}`).join(', ')]);
+        }
+        
+        return `<h2>Measurement</h2>
+<table>
+${rows.map(([name, value]) => `<tr><th>${escapeHtml(name)}</th><td>${escapeHtml(value)}</td></tr>`).join('\n')}
+</table>
+${diagnostics.warnings.map(warning => `<p class="warning">Warning: ${escapeHtml(warning)}</p>`).join('\n')}`;
+    }
+
+    // Acquisition settings of the raw channels and the expressions of the calculated ones
+    renderChannelSetup(binaryReader, processor) {
+        const metadata = binaryReader.getMetadata();
+        const voltageRanges = binaryReader.getVoltageRanges();
+        const summary = processor.getMetadataSummary();
+        
+        const rawRows = summary.channels.map(channel => {
+            const range = voltageRanges[metadata.channelRanges[channel.index]];
+            return [
+                channel.id,
+                channel.label,
+                channel.unit,
+                `${metadata.channelRanges[channel.index]} (±${range !== undefined ? range : '?'} V)`,
+                metadata.channelScaling[channel.index],
+                metadata.downsampling[channel.index],
+                channel.points.toLocaleString('en-US')
+            ];
+        });
+        const calculatedRows = summary.calculatedChannels.map(channel => [
+            channel.id,
+            channel.label,
+            channel.unit,
+            channel.expression || '',
+            channel.points.toLocaleString('en-US')
+        ]);
+        
+        return `<h2>Channels</h2>
+${renderTable(['Channel', 'Label', 'Unit', 'Range', 'Scaling', 'Downsampling', 'Points'], rawRows)}
+${renderTable(['Channel', 'Label', 'Unit', 'Expression', 'Points'], calculatedRows)}`;
+    }
+
+    // Statistics of every raw and calculated channel. The event loop gets a turn between
+    // channels so a report on a large file does not hold up the server's other requests.
+    async renderStatistics(processor) {
+        const summary = processor.getMetadataSummary();
+        const rows = [];
+        for (const channel of [...summary.channels, ...summary.calculatedChannels]) {
+            await new Promise(resolve => setImmediate(resolve));
+            
+            const stats = processor.getChannelStatistics(channel.id, null, null, null, [5, 95]);
+            if (!stats || stats.count === 0) {
+                rows.push([channel.id, channel.label, channel.unit, 0, '', '', '', '', '', '', '']);
+                continue;
+            }
+            
+            rows.push([
+                channel.id,
+                channel.label,
+                channel.unit,
+                stats.count,
+                stats.min,
+                stats.max,
+                stats.mean,
+                stats.stdDev,
+                stats.rms,
+                stats.percentiles.p5,
+                stats.percentiles.p95
+            ]);
+        }
+        
+        return `<h2>Statistics</h2>
+${renderTable(['Channel', 'Label', 'Unit', 'Samples', 'Min', 'Max', 'Mean', 'Std. dev.', 'RMS', 'P5', 'P95'], rows)}`;
+    }
+
+    // Overview of all default channels, then each of them on its own
+    renderPlots(processor, metadata, filename) {
+        const channelIds = processor.getDefaultDisplayChannels();
+        if (channelIds.length === 0) return '<h2>Plots</h2>\n<p class="note">No default channels configured.</p>';
+        
+        const renderer = new PlotRenderer(processor, metadata, filename);
+        const plots = [{ title: 'Overview', channelIds }];
+        if (channelIds.length > 1) {
+            channelIds.forEach(channelId => {
+                const channel = processor.getChannelById(channelId);
+                plots.push({ title: `${channel.label} [${channel.unit}]`, channelIds: [channelId] });
+            });
+        }
+        
+        return `<h2>Plots</h2>
+${plots.map((plot, index) => `<div class="plot">${renderer.render(plot.channelIds, {
+            title: plot.title,
+            width: 1200,
+            height: index === 0 ? 600 : 360,
+            id: `plot${index}`
+        })}</div>`).join('\n')}`;
+    }
+
+    renderEvents(processor) {
+        if (this.eventRules.length === 0) return '';
+        
+        const timeRange = processor.getTimeRange();
+        const sections = this.eventRules.map(rule => {
+            const heading = `<h3>${escapeHtml(rule.label)}</h3>`;
+            const channel = processor.getChannelById(rule.channel);
+            if (!channel) return `${heading}\n<p class="note">Channel ${escapeHtml(rule.channel)} not found.</p>`;
+            
+            const events = processor.detectEvents(rule.channel, rule.detector, timeRange.min, timeRange.max);
+            if (events.length === 0) return `${heading}\n<p class="note">No events.</p>`;
+            
+            const rows = events.slice(0, this.maxEventsPerRule).map(event => [
+                event.time,
+                event.endTime !== undefined ? event.endTime : '',
+                event.direction || event.polarity || '',
+                event.value
+            ]);
+            const omitted = events.length - rows.length;
+            
+            return `${heading}
+${renderTable(['Time [s]', 'End [s]', 'Direction', `Value [${channel.unit}]`], rows)}
+${omitted > 0 ? `<p class="note">${omitted} more events not listed.</p>` : ''}`;
+        });
+        
+        return `<h2>Events</h2>\n${sections.join('\n')}`;
+    }
+
+    renderAnnotations(annotations) {
+        if (annotations.length === 0) return '<h2>Annotations</h2>\n<p class="note">No annotations.</p>';
+        
+        const rows = annotations.map(annotation => [
+            annotation.time,
+            annotation.type === 'span' ? annotation.endTime : '',
+            annotation.text,
+            annotation.author || ''
+        ]);
+        return `<h2>Annotations</h2>\n${renderTable(['Time [s]', 'End [s]', 'Text', 'Author'], rows)}`;
+    }
+}
+
+function renderTable(columns, rows) {
+    const cell = value => typeof value === 'number'
+        ? `<td class="number">${escapeHtml(formatNumber(value))}</td>`
+        : `<td>${escapeHtml(value)}</td>`;
+
+    return `<table>
+<tr>${columns.map(column => `<th>${escapeHtml(column)}</th>`).join('')}</tr>
+${rows.map(row => `<tr>${row.map(cell).join('')}</tr>`).join('\n')}
+</table>`;
+}
+
+function escapeHtml(text) {
+    return String(text).replace(/[&<>"]/g, character => `&#${character.charCodeAt(0)};`);
+}
+
+function formatNumber(value) {
+    return Number.isInteger(value) ? String(value) : String(Number(value.toPrecision(6)));
+}
+
+ReportGenerator.DEFAULT_PATH = path.join(__dirname, '..', 'config', 'report.json');
+
+module.exports = ReportGenerator;
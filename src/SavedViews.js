@@ -0,0 +1,172 @@
+const fs = require('fs');
+const SignalFilter = require('./SignalFilter');
+const { withLock } = require('./utils');
+
+// Raised for views that fail validation
+class ViewError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'ViewError';
+    }
+}
+
+const MAX_NAME_LENGTH = 100;
+const Y_AXES = ['yaxis', 'yaxis2', 'yaxis3', 'yaxis4'];
+const CHANNEL_ID = /^(?:channel_[0-7]|calc_[A-Za-z0-9_]+|[0-7])$/;
+
+// Named plot views shared by everyone using the server, stored in one JSON file:
+//
+//   { "views": { "upset detail": {
+//       "file": "J25-07-30(3).bin",           # relative to the data directory
+//       "profile": "rig-b",                    # calibration profile, null = automatic
+//       "channels": ["calc_3", "calc_6"],      # visible channels, null = defaults
+//       "range": [12.1, 12.8],                 # x window in seconds, null = whole file
+//       "yRanges": { "yaxis2": [0, 60000] },   # fixed y-axis ranges, others autoscale
+//       "filter": "lowpass:200",
+//       "mode": "minmax",                      # resampling mode
+//       "timeAxis": "relative",
+//       "created": "...", "modified": "..." } } }
+class SavedViews {
+    constructor(filePath) {
+        this.path = filePath;
+        // No prototype, so names like __proto__ or constructor are ordinary keys
+        this.views = Object.create(null);
+    }
+
+    // Views in filePath; a missing file means no views
+    static async load(filePath) {
+        const store = new SavedViews(filePath);
+        
+        let text;
+        try {
+            text = await fs.promises.readFile(filePath, 'utf8');
+        } catch (error) {
+            if (error.code === 'ENOENT') return store;
+            throw error;
+        }
+        
+        let definition;
+        try {
+            definition = JSON.parse(text);
+        } catch (error) {
+            throw new Error(`Could not parse ${filePath}: ${error.message}`);
+        }
+        
+        if (!definition || typeof definition.views !== 'object' || Array.isArray(definition.views)) {
+            throw new Error(`${filePath}: "views" must be an object`);
+        }
+        store.views = Object.assign(Object.create(null), definition.views);
+        return store;
+    }
+
+    // Load, change and save under a lock so concurrent requests do not lose edits
+    static async modify(filePath, change) {
+        return withLock(filePath, async () => {
+            const store = await SavedViews.load(filePath);
+            const result = change(store);
+            await store.save();
+            return result;
+        });
+    }
+
+    // Name, file and modification time of every view, sorted by name
+    list() {
+        return Object.entries(this.views)
+            .map(([name, view]) => ({ name, file: view.file, modified: view.modified }))
+            .sort((a, b) => a.name.localeCompare(b.name));
+    }
+
+    get(name) {
+        return Object.prototype.hasOwnProperty.call(this.views, name) ? { name, ...this.views[name] } : null;
+    }
+
+    // Create or replace a view
+    put(name, input) {
+        const existing = this.get(name);
+        const now = new Date().toISOString();
+        
+        this.views[this.checkName(name)] = {
+            ...this.normalize(input),
+            created: existing ? existing.created : now,
+            modified: now
+        };
+        return this.get(name);
+    }
+
+    remove(name) {
+        if (!this.get(name)) return false;
+        delete this.views[name];
+        return true;
+    }
+
+    // Write through a temporary file so readers never see a half-written file
+    async save() {
+        const temporary = `${this.path}.tmp`;
+        await fs.promises.writeFile(temporary, JSON.stringify({ views: this.views }, null, 2) + '\n', 'utf8');
+        await fs.promises.rename(temporary, this.path);
+    }
+
+    checkName(name) {
+        if (typeof name !== 'string' || !name.trim() || name.length > MAX_NAME_LENGTH) {
+            throw new ViewError(`View names must be 1-${MAX_NAME_LENGTH} characters`);
+        }
+        return name;
+    }
+
+    // Validated view fields; throws ViewError
+    normalize(input) {
+        if (typeof input.file !== 'string' || !input.file) {
+            throw new ViewError('A view needs the file it shows');
+        }
+        
+        const channels = input.channels || null;
+        if (channels !== null && (!Array.isArray(channels) || !channels.every(id => CHANNEL_ID.test(id)))) {
+            throw new ViewError('"channels" must be a list of channel IDs');
+        }
+        
+        const isRange = range => Array.isArray(range) && range.length === 2 &&
+            range.every(value => typeof value === 'number' && isFinite(value)) && range[0] < range[1];
+        
+        const range = input.range || null;
+        if (range !== null && !isRange(range)) {
+            throw new ViewError('"range" must be [start, end] in seconds');
+        }
+        
+        const yRanges = input.yRanges || {};
+        for (const [axis, axisRange] of Object.entries(yRanges)) {
+            if (!Y_AXES.includes(axis) || !isRange(axisRange)) {
+                throw new ViewError(`Invalid y-axis range for ${axis}`);
+            }
+        }
+        
+        const filter = input.filter || '';
+        if (filter) {
+            try {
+                new SignalFilter(filter);
+            } catch (error) {
+                throw new ViewError(error.message);
+            }
+        }
+        
+        const mode = input.mode || 'minmax';
+        const timeAxis = input.timeAxis || 'relative';
+        if (!['minmax', 'lttb'].includes(mode) || !['relative', 'absolute'].includes(timeAxis)) {
+            throw new ViewError('"mode" must be minmax or lttb and "timeAxis" relative or absolute');
+        }
+        
+        return {
+            file: input.file,
+            profile: input.profile || null,
+            channels,
+            range,
+            yRanges,
+            filter,
+            mode,
+            timeAxis
+        };
+    }
+}
+
+SavedViews.ViewError = ViewError;
+
+module.exports = SavedViews;
@@ -0,0 +1,279 @@
+// Raised for filter specs that cannot be parsed or applied to a channel
+class FilterError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'FilterError';
+    }
+}
+
+// A chain of digital filters parsed from a compact spec, e.g. "highpass:1,notch:50".
+//
+//   lowpass:<Hz>[:<order>]          Butterworth, order 2..8 (even, default 4)
+//   highpass:<Hz>[:<order>]
+//   bandpass:<lowHz>:<highHz>[:<order>]
+//   notch[:<Hz>[:<Q>]]              default 50 Hz, Q 30
+//   movavg:<seconds>                centered moving average
+//   median:<seconds>                centered moving median (spike removal)
+//
+// IIR stages run forward and backward (zero phase), so the attenuation at the
+// cutoff is -6 dB instead of -3 dB and the effective order doubles. Moving
+// average and median windows are centered and shrink at the edges.
+class SignalFilter {
+    constructor(spec) {
+        this.stages = String(spec).split(',').map(part => part.trim()).filter(part => part).map(part => this.parseStage(part));
+        if (this.stages.length === 0) {
+            throw new FilterError('Empty filter specification');
+        }
+        
+        // Normalized spec, used as cache key
+        this.key = this.stages.map(stage => [stage.type, ...stage.params].join(':')).join(',');
+    }
+
+    parseStage(part) {
+        const [type, ...args] = part.split(':');
+        const numbers = args.map(arg => {
+            const value = Number(arg);
+            if (arg === '' || !isFinite(value) || value <= 0) {
+                throw new FilterError(`Invalid parameter "${arg}" in filter "${part}"`);
+            }
+            return value;
+        });
+        
+        const expect = (min, max) => {
+            if (numbers.length < min || numbers.length > max) {
+                throw new FilterError(`Filter "${type}" expects ${min === max ? min : `${min}-${max}`} parameter(s), got "${part}"`);
+            }
+        };
+        const order = (value = 4) => {
+            if (!Number.isInteger(value) || value % 2 !== 0 || value > 8) {
+                throw new FilterError(`Filter order must be 2, 4, 6 or 8, got ${value}`);
+            }
+            return value;
+        };
+        
+        switch (type) {
+            case 'lowpass':
+            case 'highpass':
+                expect(1, 2);
+                return { type, params: [numbers[0], order(numbers[1])] };
+            case 'bandpass':
+                expect(2, 3);
+                if (numbers[0] >= numbers[1]) {
+                    throw new FilterError(`Band-pass lower cutoff must be below the upper cutoff, got "${part}"`);
+                }
+                return { type, params: [numbers[0], numbers[1], order(numbers[2])] };
+            case 'notch':
+                expect(0, 2);
+                return { type, params: [numbers[0] || 50, numbers[1] || 30] };
+            case 'movavg':
+            case 'median':
+                expect(1, 1);
+                return { type, params: [numbers[0]] };
+            default:
+                throw new FilterError(`Unknown filter type: ${type}`);
+        }
+    }
+
+    // Filter values sampled at sampleRate (Hz); returns a new Float32Array
+    apply(values, sampleRate) {
+        let result = values;
+        
+        for (const stage of this.stages) {
+            const [a, b, c] = stage.params;
+            switch (stage.type) {
+                case 'lowpass':
+                    result = this.zeroPhase(result, this.butterworth('lowpass', a, b, sampleRate), sampleRate, a, a);
+                    break;
+                case 'highpass':
+                    result = this.zeroPhase(result, this.butterworth('highpass', a, b, sampleRate), sampleRate, a);
+                    break;
+                case 'bandpass':
+                    result = this.zeroPhase(result, [
+                        ...this.butterworth('highpass', a, c, sampleRate),
+                        ...this.butterworth('lowpass', b, c, sampleRate)
+                    ], sampleRate, a, b);
+                    break;
+                case 'notch':
+                    result = this.zeroPhase(result, [this.biquad('notch', a, b, sampleRate)], sampleRate, a);
+                    break;
+                case 'movavg':
+                    result = this.movingAverage(result, this.windowSamples(a, sampleRate));
+                    break;
+                case 'median':
+                    result = this.movingMedian(result, this.windowSamples(a, sampleRate));
+                    break;
+            }
+        }
+        
+        return result === values ? Float32Array.from(values) : result;
+    }
+
+    // Cascade of second-order sections with the Butterworth pole Qs
+    butterworth(type, cutoff, order, sampleRate) {
+        const sections = [];
+        for (let k = 0; k < order / 2; k++) {
+            const q = 1 / (2 * Math.cos(((2 * k + 1) * Math.PI) / (2 * order)));
+            sections.push(this.biquad(type, cutoff, q, sampleRate));
+        }
+        return sections;
+    }
+
+    // Biquad coefficients (RBJ audio EQ cookbook), normalized to a0 = 1
+    biquad(type, frequency, q, sampleRate) {
+        if (frequency >= sampleRate / 2) {
+            throw new FilterError(`Filter frequency ${frequency} Hz must be below the Nyquist frequency (${sampleRate / 2} Hz)`);
+        }
+        
+        const w0 = (2 * Math.PI * frequency) / sampleRate;
+        const cos = Math.cos(w0);
+        const alpha = Math.sin(w0) / (2 * q);
+        let b;
+        
+        switch (type) {
+            case 'lowpass':
+                b = [(1 - cos) / 2, 1 - cos, (1 - cos) / 2];
+                break;
+            case 'highpass':
+                b = [(1 + cos) / 2, -(1 + cos), (1 + cos) / 2];
+                break;
+            default:
+                b = [1, -2 * cos, 1];
+        }
+        
+        const a0 = 1 + alpha;
+        return {
+            b0: b[0] / a0,
+            b1: b[1] / a0,
+            b2: b[2] / a0,
+            a1: (-2 * cos) / a0,
+            a2: (1 - alpha) / a0
+        };
+    }
+
+    // Forward-backward filtering with steady-state initial conditions. The ends are
+    // padded with an odd reflection over about three periods of the lowest filter
+    // frequency, which keeps them free of start-up transients. Filters with an upper
+    // passband edge pivot the reflection on a line fitted to the edge samples over half
+    // a period of that edge, so noise the filter removes does not offset the padding.
+    zeroPhase(values, sections, sampleRate, lowestFrequency, passbandEdge = null) {
+        const n = values.length;
+        if (n < 2) return Float32Array.from(values);
+        
+        const period = sampleRate / lowestFrequency;
+        const pad = Math.min(n - 1, Math.max(3 * (2 * sections.length + 1), Math.round(3 * period)));
+        const fit = passbandEdge ? Math.min(n, Math.max(2, Math.round(sampleRate / passbandEdge / 2))) : 1;
+        const startPivot = this.edgeValue(values, 0, 1, fit);
+        const endPivot = this.edgeValue(values, n - 1, -1, fit);
+        
+        const x = new Float64Array(n + 2 * pad);
+        for (let i = 0; i < n; i++) x[pad + i] = values[i];
+        for (let i = 0; i < pad; i++) {
+            x[pad - 1 - i] = 2 * startPivot - values[i + 1];
+            x[pad + n + i] = 2 * endPivot - values[n - 2 - i];
+        }
+        
+        this.runSections(x, sections);
+        x.reverse();
+        this.runSections(x, sections);
+        x.reverse();
+        
+        return Float32Array.from(x.subarray(pad, pad + n));
+    }
+
+    // Least-squares line through count samples from edge (stepping by direction), evaluated at edge
+    edgeValue(values, edge, direction, count) {
+        let sumX = 0;
+        let sumY = 0;
+        let sumXX = 0;
+        let sumXY = 0;
+        for (let i = 0; i < count; i++) {
+            const y = values[edge + direction * i];
+            sumX += i;
+            sumY += y;
+            sumXX += i * i;
+            sumXY += i * y;
+        }
+        
+        const denominator = count * sumXX - sumX * sumX;
+        const slope = denominator === 0 ? 0 : (count * sumXY - sumX * sumY) / denominator;
+        return (sumY - slope * sumX) / count;
+    }
+
+    // In-place transposed direct form II, each section started in steady state
+    runSections(x, sections) {
+        for (const { b0, b1, b2, a1, a2 } of sections) {
+            const gain = (b0 + b1 + b2) / (1 + a1 + a2);
+            let z1 = (gain - b0) * x[0];
+            let z2 = (b2 - a2 * gain) * x[0];
+            
+            for (let i = 0; i < x.length; i++) {
+                const input = x[i];
+                const output = b0 * input + z1;
+                z1 = b1 * input - a1 * output + z2;
+                z2 = b2 * input - a2 * output;
+                x[i] = output;
+            }
+        }
+    }
+
+    // Window length in samples, rounded to the next odd number so it can be centered
+    windowSamples(seconds, sampleRate) {
+        const samples = Math.max(1, Math.round(seconds * sampleRate));
+        return samples % 2 === 0 ? samples + 1 : samples;
+    }
+
+    movingAverage(values, width) {
+        const n = values.length;
+        const half = (width - 1) / 2;
+        const prefix = new Float64Array(n + 1);
+        for (let i = 0; i < n; i++) prefix[i + 1] = prefix[i] + values[i];
+        
+        const result = new Float32Array(n);
+        for (let i = 0; i < n; i++) {
+            const lo = Math.max(0, i - half);
+            const hi = Math.min(n, i + half + 1);
+            result[i] = (prefix[hi] - prefix[lo]) / (hi - lo);
+        }
+        return result;
+    }
+
+    movingMedian(values, width) {
+        if (width > 1001) {
+            throw new FilterError(`Median window of ${width} samples is too long (max 1001)`);
+        }
+        
+        const n = values.length;
+        const half = (width - 1) / 2;
+        const result = new Float32Array(n);
+        const sorted = [];
+        
+        // Binary search for the insert/remove position of value
+        const position = (value) => {
+            let lo = 0;
+            let hi = sorted.length;
+            while (lo < hi) {
+                const mid = (lo + hi) >> 1;
+                if (sorted[mid] < value) lo = mid + 1;
+                else hi = mid;
+            }
+            return lo;
+        };
+        
+        for (let i = 0; i < Math.min(half, n); i++) {
+            sorted.splice(position(values[i]), 0, values[i]);
+        }
+        
+        for (let i = 0; i < n; i++) {
+            if (i + half < n) sorted.splice(position(values[i + half]), 0, values[i + half]);
+            if (i - half - 1 >= 0) sorted.splice(position(values[i - half - 1]), 1);
+            
+            const mid = sorted.length >> 1;
+            result[i] = sorted.length % 2 === 1 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+        }
+        return result;
+    }
+}
+
+SignalFilter.FilterError = FilterError;
+
+module.exports = SignalFilter;
@@ -1,207 +1,1139 @@
 // src/SimplePlotter.js - Binary file plotter with calculated channels support
 const express = require('express');
+const multer = require('multer');
 const path = require('path');
 const fs = require('fs').promises;
 const BinaryReader = require('./BinaryReader');
 const DataProcessor = require('./DataProcessor');
+const BinaryFormatError = require('./BinaryFormatError');
+const CalculatedChannelConfig = require('./CalculatedChannelConfig');
+const CalibrationProfiles = require('./CalibrationProfiles');
+const DataExporter = require('./DataExporter');
+const MatExporter = require('./MatExporter');
+const BinaryTransport = require('./BinaryTransport');
+const SignalFilter = require('./SignalFilter');
+const EventDetector = require('./EventDetector');
+const PhaseSegmenter = require('./PhaseSegmenter');
+const FileAlignment = require('./FileAlignment');
+const AnnotationStore = require('./AnnotationStore');
+const SavedViews = require('./SavedViews');
+const PlotRenderer = require('./PlotRenderer');
+const ReportGenerator = require('./ReportGenerator');
+const DirectoryWatcher = require('./DirectoryWatcher');
+const LiveTail = require('./LiveTail');
+const { ExpressionError } = require('./Expression');
+const { getLocalTimeZone, isValidTimeZone, describeTimestamp, parsePercentiles, withLock } = require('./utils');
+
+// Upper bounds of the point and pixel counts a request may ask for
+const MAX_POINTS = 100000;
+const SPECTROGRAM_LIMITS = { width: 4000, height: 2048 };
 
 class SimplePlotter {
-    constructor() {
+    constructor(options = {}) {
         this.app = express();
         this.server = null;
         
-        // HARDCODED FILE PATH - Change this to your .bin file location
-        this.BINARY_FILE_PATH = path.join(__dirname, '..', 'data', 'J25-07-30(3).bin');
+        // Directory that "load from path" requests are resolved against
+        this.DATA_DIR = path.resolve(options.dataDir || path.join(__dirname, '..', 'data'));
+        
+        // When true, paths outside DATA_DIR are rejected
+        this.RESTRICT_TO_DATA_DIR = options.restrictToDataDir !== false;
+        
+        // Uploaded files are stored here so they can be reloaded later
+        this.UPLOAD_DIR = path.join(this.DATA_DIR, 'uploads');
+        
+        // File loaded by /api/load when no path is given
+        this.DEFAULT_FILE_PATH = options.file
+            ? path.resolve(options.file)
+            : path.join(this.DATA_DIR, 'J25-07-30(3).bin');
+        
+        // Calculated channel definitions (JSON or YAML), re-read on every load so edits apply immediately
+        this.CALC_CONFIG_PATH = options.calcConfig
+            ? path.resolve(options.calcConfig)
+            : CalculatedChannelConfig.DEFAULT_PATH;
+        
+        // Calibration profiles (transformer ratio, force coefficients, voltage ranges)
+        this.CALIBRATION_PATH = options.calibration
+            ? path.resolve(options.calibration)
+            : CalibrationProfiles.DEFAULT_PATH;
+        
+        // Process phase rules, re-read on every request
+        this.PHASE_CONFIG_PATH = options.phaseConfig
+            ? path.resolve(options.phaseConfig)
+            : PhaseSegmenter.DEFAULT_PATH;
+        
+        // Title and event rules of the HTML report, re-read on every request
+        this.REPORT_CONFIG_PATH = options.reportConfig
+            ? path.resolve(options.reportConfig)
+            : ReportGenerator.DEFAULT_PATH;
+        
+        // Named views shared by all users of this server
+        this.VIEWS_PATH = options.viewsFile
+            ? path.resolve(options.viewsFile)
+            : path.join(this.DATA_DIR, 'views.json');
+        
+        // Directory the acquisition PC drops new recordings into, null when not watching.
+        // Browsers load recordings by their path below DATA_DIR, so it has to be inside.
+        this.WATCH_DIR = options.watchDir ? path.resolve(options.watchDir) : null;
+        if (this.WATCH_DIR && !this.resolveDataPath(this.WATCH_DIR)) {
+            throw new Error(`Watch directory must be inside the data directory: ${this.WATCH_DIR}`);
+        }
+        
+        // A new file counts as complete once its size has not changed for this long
+        this.WATCH_SETTLE_MS = options.watchSettle !== undefined ? options.watchSettle : 2000;
+        
+        // Time zone of the recording machine, for timestamps without a kind and wall-clock display
+        this.TIME_ZONE = options.timeZone || getLocalTimeZone();
+        if (!isValidTimeZone(this.TIME_ZONE)) {
+            throw new Error(`Unknown time zone: ${this.TIME_ZONE}`);
+        }
         
+        this.currentFilePath = null;
         this.binaryData = null;
+        
+        // Open Server-Sent Events connections for load progress and new recordings
+        this.progressClients = new Set();
         this.processor = null;
         
+        // Directory watcher, the last recording it found and that recording's parsed
+        // measurement, kept until the next load
+        this.watcher = null;
+        this.latestRecording = null;
+        this.prefetched = null;
+        
+        // Follows the active file while the acquisition is still writing it, see startLiveTail()
+        this.liveTail = null;
+        
+        // Files overlaid on the primary one, keyed by file ID ("f1", "f2", ...).
+        // Their channels are addressed as "<fileId>/<channelId>".
+        this.overlays = new Map();
+        this.nextOverlayId = 1;
+        
         this.setupMiddleware();
         this.setupRoutes();
     }
 
-    setupMiddleware() {
-        this.app.use(express.json());
-        this.app.use('/static', express.static(path.join(__dirname, '..', 'static')));
-    }
+    setupMiddleware() {
+        this.app.use(express.json());
+        this.app.use('/static', express.static(path.join(__dirname, '..', 'static')));
+        
+        this.upload = multer({
+            storage: multer.diskStorage({
+                destination: async (req, file, cb) => {
+                    try {
+                        await fs.mkdir(this.UPLOAD_DIR, { recursive: true });
+                        cb(null, this.UPLOAD_DIR);
+                    } catch (error) {
+                        cb(error);
+                    }
+                },
+                filename: async (req, file, cb) => {
+                    try {
+                        // Keep the original name but strip anything path-like
+                        const safeName = path.basename(file.originalname).replace(/[^\w.()\-]/g, '_');
+                        cb(null, await this.reserveUploadName(safeName));
+                    } catch (error) {
+                        cb(error);
+                    }
+                }
+            }),
+            fileFilter: (req, file, cb) => {
+                cb(null, path.extname(file.originalname).toLowerCase() === '.bin');
+            }
+        });
+    }
+
+    setupRoutes() {
+        // Main page
+        this.app.get('/', (req, res) => {
+            res.sendFile(path.join(__dirname, '..', 'static', 'index.html'));
+        });
+
+        // Load a binary file - ?path=<file> relative to the data directory, or the default file
+        this.app.get('/api/load', async (req, res) => {
+            try {
+                let filePath = this.DEFAULT_FILE_PATH;
+                
+                if (req.query.path) {
+                    filePath = this.resolveDataPath(req.query.path);
+                    if (!filePath) {
+                        return res.status(403).json({ error: 'Path is outside the data directory' });
+                    }
+                }
+                
+                // Check if file exists
+                try {
+                    await fs.access(filePath);
+                } catch (error) {
+                    return res.status(404).json({ error: `Binary file not found: ${filePath}` });
+                }
+                
+                res.json(await this.loadBinaryFile(filePath, this.getLoadOptions(req)));
+
+            } catch (error) {
+                console.error('Error loading file:', error);
+                this.sendLoadError(res, error, req.query.path);
+            }
+        });
+
+        // Upload a .bin file and load it
+        this.app.post('/api/upload', this.upload.single('file'), async (req, res) => {
+            try {
+                if (!req.file) {
+                    return res.status(400).json({ error: 'No .bin file uploaded (form field "file")' });
+                }
+                
+                console.log(`Received upload: ${req.file.originalname} (${req.file.size} bytes)`);
+                res.json(await this.loadBinaryFile(req.file.path, this.getLoadOptions(req)));
+
+            } catch (error) {
+                console.error('Error loading uploaded file:', error);
+                this.sendLoadError(res, error, req.file && path.relative(this.DATA_DIR, req.file.path));
+            }
+        });
+
+        // Live tail mode: load the samples a file being written holds so far and follow it.
+        // Each extension is pushed as a "live" event on /api/progress.
+        this.app.post('/api/live', async (req, res) => {
+            try {
+                let filePath = this.DEFAULT_FILE_PATH;
+                
+                if (req.query.path) {
+                    filePath = this.resolveDataPath(req.query.path);
+                    if (!filePath) {
+                        return res.status(403).json({ error: 'Path is outside the data directory' });
+                    }
+                }
+                
+                try {
+                    await fs.access(filePath);
+                } catch (error) {
+                    return res.status(404).json({ error: `Binary file not found: ${filePath}` });
+                }
+                
+                res.json(await this.loadBinaryFile(filePath, { ...this.getLoadOptions(req), live: true }));
+
+            } catch (error) {
+                console.error('Error starting live tail:', error);
+                this.sendLoadError(res, error, req.query.path);
+            }
+        });
+
+        this.app.get('/api/live', (req, res) => {
+            res.json({ live: this.getLiveStatus() });
+        });
+
+        // Stop following the file; the samples read so far stay loaded
+        this.app.delete('/api/live', (req, res) => {
+            const stopped = Boolean(this.liveTail);
+            this.stopLiveTail();
+            res.json({ stopped });
+        });
+
+        // List calibration profiles
+        this.app.get('/api/calibration', async (req, res) => {
+            try {
+                const calibration = await CalibrationProfiles.load(this.CALIBRATION_PATH);
+                res.json({
+                    profiles: calibration.list(),
+                    current: this.binaryData ? this.binaryData.getCalibrationProfile() : null
+                });
+
+            } catch (error) {
+                console.error('Error listing calibration profiles:', error);
+                res.status(500).json({ error: error.message });
+            }
+        });
+
+        // Load progress as Server-Sent Events
+        this.app.get('/api/progress', (req, res) => {
+            res.set({
+                'Content-Type': 'text/event-stream',
+                'Cache-Control': 'no-cache',
+                'Connection': 'keep-alive'
+            });
+            res.flushHeaders();
+            
+            this.progressClients.add(res);
+            req.on('close', () => this.progressClients.delete(res));
+        });
+
+        // Watch mode state; new recordings arrive as "recording" events on /api/progress
+        this.app.get('/api/watch', (req, res) => {
+            res.json({
+                enabled: Boolean(this.watcher),
+                dir: this.WATCH_DIR ? path.relative(this.DATA_DIR, this.WATCH_DIR) : null,
+                latest: this.latestRecording
+            });
+        });
+
+        // List .bin files available in the data directory
+        this.app.get('/api/files', async (req, res) => {
+            try {
+                const files = await this.listDataFiles();
+                res.json({
+                    dataDir: this.DATA_DIR,
+                    current: this.currentFilePath ? path.relative(this.DATA_DIR, this.currentFilePath) : null,
+                    files
+                });
+
+            } catch (error) {
+                console.error('Error listing files:', error);
+                res.status(500).json({ error: error.message });
+            }
+        });
+
+        // Get channel data - supports both raw and calculated channels, and the channels
+        // of overlaid files as /api/data/<fileId>/<channelId> on the primary time axis.
+        // ?time=absolute returns Unix milliseconds instead of seconds since the recording start.
+        this.app.get(['/api/data/:channelId', '/api/data/:fileId/:channelId'], (req, res) => {
+            try {
+                const channelId = this.getChannelReference(req);
+                const startTime = parseFloat(req.query.start || 0);
+                const endTime = parseFloat(req.query.end || 200);
+                const maxPoints = this.parseCount(req.query.maxPoints, 2000, MAX_POINTS);
+                const mode = req.query.mode || 'minmax';
+                const filter = this.parseFilter(req.query.filter);
+                const timeAxis = req.query.time || 'relative';
+
+                if (!this.processor) {
+                    return res.status(404).json({ error: 'No file loaded' });
+                }
+
+                // Validate channel ID format
+                if (!this.isValidChannelReference(channelId)) {
+                    return res.status(400).json({ error: 'Invalid channel ID format' });
+                }
+
+                // Check if file and channel exist
+                const channel = this.resolveChannel(channelId);
+                const channelData = channel && channel.processor.getChannelById(channel.channelId);
+                if (!channelData) {
+                    return res.status(404).json({ error: `Channel ${channelId} not found` });
+                }
+
+                if (!this.isValidResampleMode(mode)) {
+                    return res.status(400).json({ error: `Invalid resampling mode: ${mode}` });
+                }
+
+                if (maxPoints === null) {
+                    return res.status(400).json({ error: `maxPoints must be an integer between 1 and ${MAX_POINTS}` });
+                }
+
+                const timeError = this.checkTimeAxis(timeAxis);
+                if (timeError) {
+                    return res.status(400).json({ error: timeError });
+                }
+
+                const data = this.getAlignedData(channel, startTime, endTime, maxPoints, mode, filter);
+                const meta = {
+                    channelId,
+                    fileId: channel.fileId,
+                    offset: channel.offset,
+                    startTime,
+                    endTime,
+                    requestedMaxPoints: maxPoints,
+                    actualPoints: data.time.length,
+                    mode,
+                    filter: filter ? filter.key : null,
+                    label: channelData.label,
+                    unit: channelData.unit,
+                    type: channel.channelId.startsWith('calc_') ? 'calculated' : 'raw',
+                    timeOrigin: this.binaryData.getMetadata().binaryUnixMs || null
+                };
+                
+                // Float32 cannot hold Unix milliseconds, so binary payloads stay relative to timeOrigin
+                if (this.wantsBinary(req)) {
+                    return this.sendBinary(res, [{ id: channelId, time: data.time, values: data.values, meta }]);
+                }
+                
+                res.json({
+                    time: this.toTimeAxis(data.time, timeAxis),
+                    values: Array.from(data.values),
+                    meta
+                });
+
+            } catch (error) {
+                if (error instanceof SignalFilter.FilterError) {
+                    return res.status(400).json({ error: error.message });
+                }
+                console.error('Error getting channel data:', error);
+                res.status(500).json({ error: error.message });
+            }
+        });
+
+        // Get multiple channels at once (for efficient loading). "filter" applies to every
+        // channel, "filters" ({ channelId: spec }) overrides it per channel; "" disables it.
+        // channelIds may address overlaid files as "<fileId>/<channelId>".
+        // time: 'absolute' returns Unix milliseconds in JSON responses, see /api/data.
+        this.app.post('/api/data/bulk', (req, res) => {
+            try {
+                const { channelIds, startTime = 0, endTime = 200, mode = 'minmax', filter = null, filters = {}, time: timeAxis = 'relative' } = req.body;
+
+                if (!this.processor) {
+                    return res.status(404).json({ error: 'No file loaded' });
+                }
+
+                if (!Array.isArray(channelIds)) {
+                    return res.status(400).json({ error: 'channelIds must be an array' });
+                }
+
+                const maxPoints = this.parseCount(req.body.maxPoints, 2000, MAX_POINTS);
+                if (maxPoints === null) {
+                    return res.status(400).json({ error: `maxPoints must be an integer between 1 and ${MAX_POINTS}` });
+                }
+
+                if (!this.isValidResampleMode(mode)) {
+                    return res.status(400).json({ error: `Invalid resampling mode: ${mode}` });
+                }
+
+                const timeError = this.checkTimeAxis(timeAxis);
+                if (timeError) {
+                    return res.status(400).json({ error: timeError });
+                }
+
+                const results = [];
+                
+                for (const channelId of channelIds) {
+                    if (!this.isValidChannelReference(channelId)) {
+                        results.push({ id: channelId, error: 'Invalid channel ID format' });
+                        continue;
+                    }
+
+                    const channel = this.resolveChannel(channelId);
+                    const channelData = channel && channel.processor.getChannelById(channel.channelId);
+                    if (!channelData) {
+                        results.push({ id: channelId, error: 'Channel not found' });
+                        continue;
+                    }
+
+                    let channelFilter;
+                    let data;
+                    try {
+                        channelFilter = this.parseFilter(filters && filters[channelId] !== undefined ? filters[channelId] : filter);
+                        data = this.getAlignedData(channel, startTime, endTime, maxPoints, mode, channelFilter);
+                    } catch (error) {
+                        if (!(error instanceof SignalFilter.FilterError)) throw error;
+                        results.push({ id: channelId, error: error.message });
+                        continue;
+                    }
+
+                    results.push({
+                        id: channelId,
+                        time: data.time,
+                        values: data.values,
+                        meta: {
+                            label: channelData.label,
+                            unit: channelData.unit,
+                            type: channel.channelId.startsWith('calc_') ? 'calculated' : 'raw',
+                            fileId: channel.fileId,
+                            offset: channel.offset,
+                            filter: channelFilter ? channelFilter.key : null,
+                            actualPoints: data.time.length
+                        }
+                    });
+                }
+
+                const envelope = {
+                    success: true,
+                    startTime,
+                    endTime,
+                    maxPoints,
+                    mode,
+                    timeOrigin: this.binaryData.getMetadata().binaryUnixMs || null
+                };
+                
+                if (this.wantsBinary(req)) {
+                    return this.sendBinary(res, results, envelope);
+                }
+
+                const channels = {};
+                for (const result of results) {
+                    channels[result.id] = result.error
+                        ? { error: result.error }
+                        : { time: this.toTimeAxis(result.time, timeAxis), values: Array.from(result.values), meta: result.meta };
+                }
+
+                res.json({ ...envelope, channels });
+
+            } catch (error) {
+                console.error('Error getting bulk channel data:', error);
+                res.status(500).json({ error: error.message });
+            }
+        });
+
+        // Statistics of several channels over one window - ?channels=calc_3,calc_5&start=&end=&filter=&percentiles=
+        this.app.get('/api/stats', (req, res) => {
+            try {
+                if (!this.processor) {
+                    return res.status(404).json({ error: 'No file loaded' });
+                }
+
+                const channelIds = String(req.query.channels || '').split(',').map(id => id.trim()).filter(id => id);
+                if (channelIds.length === 0) {
+                    return res.status(400).json({ error: 'No channels requested' });
+                }
+
+                const { start, end, percentiles } = this.getStatisticsOptions(req);
+                if (percentiles === null) {
+                    return res.status(400).json({ error: 'percentiles must be numbers between 0 and 100' });
+                }
+
+                const filter = this.parseFilter(req.query.filter);
+                const channels = {};
+                for (const channelId of channelIds) {
+                    if (!this.isValidChannelReference(channelId)) {
+                        channels[channelId] = { error: 'Invalid channel ID format' };
+                        continue;
+                    }
+
+                    try {
+                        const stats = this.getAlignedStatistics(channelId, start, end, filter, percentiles);
+                        channels[channelId] = stats || { error: 'Channel not found' };
+                    } catch (error) {
+                        if (!(error instanceof SignalFilter.FilterError)) throw error;
+                        channels[channelId] = { error: error.message };
+                    }
+                }
+
+                res.json({
+                    startTime: start,
+                    endTime: end,
+                    filter: filter ? filter.key : null,
+                    channels
+                });
+
+            } catch (error) {
+                if (error instanceof SignalFilter.FilterError) {
+                    return res.status(400).json({ error: error.message });
+                }
+                console.error('Error getting statistics:', error);
+                res.status(500).json({ error: error.message });
+            }
+        });
+
+        // Get channel statistics - ?start=&end= limit the window (whole channel by default)
+        this.app.get(['/api/stats/:channelId', '/api/stats/:fileId/:channelId'], (req, res) => {
+            try {
+                const channelId = this.getChannelReference(req);
+
+                if (!this.processor) {
+                    return res.status(404).json({ error: 'No file loaded' });
+                }
+
+                if (!this.isValidChannelReference(channelId)) {
+                    return res.status(400).json({ error: 'Invalid channel ID format' });
+                }
+
+                const { start, end, percentiles } = this.getStatisticsOptions(req);
+                if (percentiles === null) {
+                    return res.status(400).json({ error: 'percentiles must be numbers between 0 and 100' });
+                }
+
+                const filter = this.parseFilter(req.query.filter);
+                const stats = this.getAlignedStatistics(channelId, start, end, filter, percentiles);
+                if (!stats) {
+                    return res.status(404).json({ error: `Channel ${channelId} not found` });
+                }
+
+                res.json({
+                    channelId,
+                    startTime: start,
+                    endTime: end,
+                    filter: filter ? filter.key : null,
+                    statistics: stats
+                });
+
+            } catch (error) {
+                if (error instanceof SignalFilter.FilterError) {
+                    return res.status(400).json({ error: error.message });
+                }
+                console.error('Error getting channel statistics:', error);
+                res.status(500).json({ error: error.message });
+            }
+        });
+
+        // Power spectrum of one channel - ?start=&end=&window=hann|hamming|flattop|rectangular&nfft=&overlap=&scale=amplitude|psd
+        // Compared files' channels are addressed as fileId/channelId, start/end are on the primary time axis.
+        this.app.get(['/api/fft/:channelId', '/api/fft/:fileId/:channelId'], (req, res) => {
+            try {
+                const channelId = this.getChannelReference(req);
+
+                if (!this.processor) {
+                    return res.status(404).json({ error: 'No file loaded' });
+                }
+
+                if (!this.isValidChannelReference(channelId)) {
+                    return res.status(400).json({ error: 'Invalid channel ID format' });
+                }
+
+                const { start, end, options } = this.getSpectrumOptions(req);
+                if (isNaN(start) || isNaN(end) || end <= start) {
+                    return res.status(400).json({ error: 'Invalid time range' });
+                }
+
+                const resolved = this.resolveChannel(channelId);
+                let spectrum = null;
+                try {
+                    if (resolved) {
+                        spectrum = resolved.processor.getSpectrum(resolved.channelId, start - resolved.offset, end - resolved.offset, options);
+                    }
+                } catch (error) {
+                    return res.status(400).json({ error: error.message });
+                }
+
+                if (!spectrum) {
+                    return res.status(404).json({ error: `Channel ${channelId} not found` });
+                }
+
+                const channel = resolved.processor.getChannelById(resolved.channelId);
+                res.json({
+                    channelId,
+                    fileId: resolved.fileId,
+                    label: channel.label,
+                    unit: channel.unit,
+                    ...spectrum,
+                    startTime: spectrum.startTime + resolved.offset,
+                    endTime: spectrum.endTime + resolved.offset,
+                    frequencies: Array.from(spectrum.frequencies),
+                    magnitudes: Array.from(spectrum.magnitudes)
+                });
+
+            } catch (error) {
+                console.error('Error computing spectrum:', error);
+                res.status(500).json({ error: error.message });
+            }
+        });
+
+        // Time-frequency magnitude matrix (dB) of one channel - same options and channel references
+        // as /api/fft plus width/height of the target image; z is indexed [frequency row][time column]
+        this.app.get(['/api/spectrogram/:channelId', '/api/spectrogram/:fileId/:channelId'], (req, res) => {
+            try {
+                const channelId = this.getChannelReference(req);
+
+                if (!this.processor) {
+                    return res.status(404).json({ error: 'No file loaded' });
+                }
+
+                if (!this.isValidChannelReference(channelId)) {
+                    return res.status(400).json({ error: 'Invalid channel ID format' });
+                }
+
+                const { start, end, options } = this.getSpectrumOptions(req);
+                if (isNaN(start) || isNaN(end) || end <= start) {
+                    return res.status(400).json({ error: 'Invalid time range' });
+                }
+
+                options.columns = this.parseCount(req.query.width, 800, SPECTROGRAM_LIMITS.width);
+                options.rows = this.parseCount(req.query.height, 256, SPECTROGRAM_LIMITS.height);
+                if (options.columns === null) {
+                    return res.status(400).json({ error: `width must be an integer between 1 and ${SPECTROGRAM_LIMITS.width}` });
+                }
+                if (options.rows === null) {
+                    return res.status(400).json({ error: `height must be an integer between 1 and ${SPECTROGRAM_LIMITS.height}` });
+                }
+                if (req.query.nfft === undefined) options.nfft = 1024;
+
+                const resolved = this.resolveChannel(channelId);
+                let spectrogram = null;
+                try {
+                    if (resolved) {
+                        spectrogram = resolved.processor.getSpectrogram(resolved.channelId, start - resolved.offset, end - resolved.offset, options);
+                    }
+                } catch (error) {
+                    return res.status(400).json({ error: error.message });
+                }
+
+                if (!spectrogram) {
+                    return res.status(404).json({ error: `Channel ${channelId} not found` });
+                }
+
+                const channel = resolved.processor.getChannelById(resolved.channelId);
+                res.json({
+                    channelId,
+                    fileId: resolved.fileId,
+                    label: channel.label,
+                    unit: channel.unit,
+                    ...spectrogram,
+                    startTime: spectrogram.startTime + resolved.offset,
+                    endTime: spectrogram.endTime + resolved.offset,
+                    times: Array.from(spectrogram.times, time => time + resolved.offset),
+                    frequencies: Array.from(spectrogram.frequencies),
+                    z: spectrogram.z.map(row => Array.from(row, value => Math.round(value * 100) / 100))
+                });
+
+            } catch (error) {
+                console.error('Error computing spectrogram:', error);
+                res.status(500).json({ error: error.message });
+            }
+        });
+
+        // Event detection - ?channel=calc_3&type=threshold|edge|peak|hold&start=&end=&filter=&limit=
+        // plus the detector options (see EventDetector), e.g. level=1000&hysteresis=50.
+        // channel may be fileId/channelId; times are on the primary time axis.
+        this.app.get('/api/events', (req, res) => {
+            try {
+                const channelId = req.query.channel;
+
+                if (!this.processor) {
+                    return res.status(404).json({ error: 'No file loaded' });
+                }
+
+                if (!channelId || !this.isValidChannelReference(channelId)) {
+                    return res.status(400).json({ error: 'Invalid channel ID format' });
+                }
+
+                const timeRange = this.processor.getTimeRange();
+                const start = req.query.start !== undefined ? parseFloat(req.query.start) : timeRange.min;
+                const end = req.query.end !== undefined ? parseFloat(req.query.end) : timeRange.max;
+                const limit = Math.max(1, parseInt(req.query.limit) || 1000);
+
+                if (isNaN(start) || isNaN(end) || end <= start) {
+                    return res.status(400).json({ error: 'Invalid time range' });
+                }
+
+                let detector;
+                try {
+                    detector = new EventDetector(req.query.type, req.query);
+                } catch (error) {
+                    return res.status(400).json({ error: error.message });
+                }
+
+                const filter = this.parseFilter(req.query.filter);
+                const resolved = this.resolveChannel(channelId);
+                const events = resolved && this.getAlignedEvents(resolved, detector, start, end, filter);
+                if (!events) {
+                    return res.status(404).json({ error: `Channel ${channelId} not found` });
+                }
+
+                const channel = resolved.processor.getChannelById(resolved.channelId);
+                res.json({
+                    channelId,
+                    fileId: resolved.fileId,
+                    label: channel.label,
+                    unit: channel.unit,
+                    type: detector.type,
+                    options: detector.options,
+                    filter: filter ? filter.key : null,
+                    startTime: start,
+                    endTime: end,
+                    count: events.length,
+                    truncated: events.length > limit,
+                    events: events.slice(0, limit)
+                });
+
+            } catch (error) {
+                if (error instanceof SignalFilter.FilterError) {
+                    return res.status(400).json({ error: error.message });
+                }
+                console.error('Error detecting events:', error);
+                res.status(500).json({ error: error.message });
+            }
+        });
+
+        // Process phases of the loaded file (idle, preheat, flashing, upset, hold, ...)
+        this.app.get('/api/phases', async (req, res) => {
+            try {
+                if (!this.processor) {
+                    return res.status(404).json({ error: 'No file loaded' });
+                }
+
+                const segmenter = await PhaseSegmenter.load(this.PHASE_CONFIG_PATH);
+                const result = segmenter.segment(this.processor);
+
+                res.json({
+                    success: true,
+                    colors: segmenter.getPhaseColors(),
+                    energyUnit: 'J',
+                    ...result
+                });
+
+            } catch (error) {
+                // Rules referencing channels this file does not have
+                if (error instanceof ExpressionError) {
+                    return res.status(422).json({ error: error.message });
+                }
+                console.error('Error segmenting phases:', error);
+                res.status(500).json({ error: error.message });
+            }
+        });
+
+        // Files overlaid on the primary one
+        this.app.get('/api/overlays', (req, res) => {
+            res.json({ overlays: this.listOverlays() });
+        });
+
+        // Overlay another file - { path, align: start|absolute|trigger, channel, level, hysteresis, direction, profile }
+        this.app.post('/api/overlays', async (req, res) => {
+            try {
+                if (!this.processor) {
+                    return res.status(404).json({ error: 'No file loaded' });
+                }
+
+                const options = req.body || {};
+                const filePath = options.path ? this.resolveDataPath(options.path) : null;
+                if (!filePath) {
+                    return res.status(options.path ? 403 : 400).json({
+                        error: options.path ? 'Path is outside the data directory' : 'No file path given'
+                    });
+                }
+
+                try {
+                    await fs.access(filePath);
+                } catch (error) {
+                    return res.status(404).json({ error: `Binary file not found: ${filePath}` });
+                }
+
+                let alignment;
+                try {
+                    alignment = new FileAlignment(options);
+                } catch (error) {
+                    return res.status(400).json({ error: error.message });
+                }
+
+                const { binaryReader, processor } = await this.readMeasurement(filePath, { profile: options.profile || null });
+                const overlay = { id: `f${this.nextOverlayId}`, filePath, binaryData: binaryReader, processor, alignment, offset: 0 };
+                this.alignOverlay(overlay);
+                
+                this.overlays.set(overlay.id, overlay);
+                this.nextOverlayId++;
+                res.json({ success: true, overlay: this.describeOverlay(overlay) });
+
+            } catch (error) {
+                if (error instanceof FileAlignment.AlignmentError) {
+                    return res.status(422).json({ error: error.message });
+                }
+                console.error('Error loading overlay:', error);
+                this.sendLoadError(res, error, req.body && req.body.path);
+            }
+        });
+
+        // Change the alignment of an overlaid file - same options as POST /api/overlays
+        this.app.put('/api/overlays/:fileId/alignment', (req, res) => {
+            try {
+                const overlay = this.overlays.get(req.params.fileId);
+                if (!overlay) {
+                    return res.status(404).json({ error: `Overlay ${req.params.fileId} not found` });
+                }
+
+                let alignment;
+                try {
+                    alignment = new FileAlignment(req.body || {});
+                } catch (error) {
+                    return res.status(400).json({ error: error.message });
+                }
+
+                // Align a copy first so a failing alignment leaves the overlay unchanged
+                const aligned = { ...overlay, alignment };
+                this.alignOverlay(aligned);
+                Object.assign(overlay, { alignment, offset: aligned.offset, alignmentError: null });
+                res.json({ success: true, overlay: this.describeOverlay(overlay) });
+
+            } catch (error) {
+                if (error instanceof FileAlignment.AlignmentError) {
+                    return res.status(422).json({ error: error.message });
+                }
+                console.error('Error aligning overlay:', error);
+                res.status(500).json({ error: error.message });
+            }
+        });
+
+        this.app.delete('/api/overlays/:fileId', (req, res) => {
+            if (!this.overlays.delete(req.params.fileId)) {
+                return res.status(404).json({ error: `Overlay ${req.params.fileId} not found` });
+            }
+            res.json({ success: true, overlays: this.listOverlays() });
+        });
+
+        // Annotations of the loaded file, stored next to it as <name>.annotations.json
+        this.app.get('/api/annotations', async (req, res) => {
+            try {
+                if (!this.processor) {
+                    return res.status(404).json({ error: 'No file loaded' });
+                }
+
+                const store = await AnnotationStore.load(this.currentFilePath);
+                res.json({
+                    file: path.basename(this.currentFilePath),
+                    annotations: store.list()
+                });
+
+            } catch (error) {
+                console.error('Error reading annotations:', error);
+                res.status(500).json({ error: error.message });
+            }
+        });
+
+        // Add an annotation - { type: point|span, time, endTime, text, author, color }
+        this.app.post('/api/annotations', async (req, res) => {
+            try {
+                if (!this.processor) {
+                    return res.status(404).json({ error: 'No file loaded' });
+                }
+
+                const annotation = await AnnotationStore.modify(this.currentFilePath, store => store.create(req.body || {}));
+                res.status(201).json({ success: true, annotation });
+
+            } catch (error) {
+                this.sendAnnotationError(res, error);
+            }
+        });
+
+        // Change fields of an annotation
+        this.app.put('/api/annotations/:id', async (req, res) => {
+            try {
+                if (!this.processor) {
+                    return res.status(404).json({ error: 'No file loaded' });
+                }
+
+                const annotation = await AnnotationStore.modify(this.currentFilePath, store => store.update(req.params.id, req.body || {}));
+                if (!annotation) {
+                    return res.status(404).json({ error: `Annotation ${req.params.id} not found` });
+                }
+                res.json({ success: true, annotation });
+
+            } catch (error) {
+                this.sendAnnotationError(res, error);
+            }
+        });
+
+        this.app.delete('/api/annotations/:id', async (req, res) => {
+            try {
+                if (!this.processor) {
+                    return res.status(404).json({ error: 'No file loaded' });
+                }
+
+                const removed = await AnnotationStore.modify(this.currentFilePath, store => store.remove(req.params.id));
+                if (!removed) {
+                    return res.status(404).json({ error: `Annotation ${req.params.id} not found` });
+                }
+                res.json({ success: true });
+
+            } catch (error) {
+                this.sendAnnotationError(res, error);
+            }
+        });
+
+        // Saved views: file, visible channels, zoom window, y ranges and filter under a name
+        this.app.get('/api/views', async (req, res) => {
+            try {
+                const store = await SavedViews.load(this.VIEWS_PATH);
+                res.json({ success: true, views: store.list() });
 
-    setupRoutes() {
-        // Main page
-        this.app.get('/', (req, res) => {
-            res.sendFile(path.join(__dirname, '..', 'static', 'index.html'));
+            } catch (error) {
+                console.error('Error reading views:', error);
+                res.status(500).json({ error: error.message });
+            }
         });
 
-        // Auto-load the hardcoded binary file
-        this.app.get('/api/load', async (req, res) => {
+        this.app.get('/api/views/:name', async (req, res) => {
             try {
-                console.log(`Loading hardcoded binary file: ${this.BINARY_FILE_PATH}`);
-                
-                // Check if file exists
-                try {
-                    await fs.access(this.BINARY_FILE_PATH);
-                } catch (error) {
-                    throw new Error(`Binary file not found: ${this.BINARY_FILE_PATH}`);
+                const store = await SavedViews.load(this.VIEWS_PATH);
+                const view = store.get(req.params.name);
+                if (!view) {
+                    return res.status(404).json({ error: `View "${req.params.name}" not found` });
                 }
-                
-                // Process the binary file
-                const binaryReader = new BinaryReader(this.BINARY_FILE_PATH);
-                await binaryReader.readFile();
-                
-                this.binaryData = binaryReader;
-                this.processor = new DataProcessor(
-                    binaryReader.getRawData(),
-                    binaryReader.getCalculatedData(), // NEW: Pass calculated data
-                    binaryReader.getMetadata()
-                );
+                res.json({ success: true, view });
 
-                // Return metadata including calculated channels
-                const metadata = this.processor.getMetadataSummary();
-                const ranges = this.processor.getDataRanges();
-                const availableChannels = this.processor.getAllAvailableChannels();
-                const channelsByUnit = this.processor.getChannelsByUnit();
-                const defaultChannels = this.processor.getDefaultDisplayChannels();
+            } catch (error) {
+                console.error('Error reading views:', error);
+                res.status(500).json({ error: error.message });
+            }
+        });
 
-                res.json({
-                    success: true,
-                    filename: path.basename(this.BINARY_FILE_PATH),
-                    metadata: metadata,
-                    ranges: ranges,
-                    availableChannels: availableChannels,
-                    channelsByUnit: channelsByUnit,
-                    defaultChannels: defaultChannels
-                });
+        // Create or replace a view - { file, profile, channels, range, yRanges, filter, mode, timeAxis }
+        this.app.put('/api/views/:name', async (req, res) => {
+            try {
+                const input = req.body || {};
+                if (typeof input.file === 'string' && !this.resolveDataPath(input.file)) {
+                    return res.status(403).json({ error: 'Path is outside the data directory' });
+                }
+
+                const view = await SavedViews.modify(this.VIEWS_PATH, store => store.put(req.params.name, input));
+                res.json({ success: true, view });
 
             } catch (error) {
-                console.error('Error loading file:', error);
+                if (error instanceof SavedViews.ViewError) {
+                    return res.status(400).json({ error: error.message });
+                }
+                console.error('Error saving view:', error);
                 res.status(500).json({ error: error.message });
             }
         });
 
-        // Get channel data - supports both raw and calculated channels
-        this.app.get('/api/data/:channelId', (req, res) => {
+        this.app.delete('/api/views/:name', async (req, res) => {
             try {
-                const channelId = req.params.channelId;
-                const startTime = parseFloat(req.query.start || 0);
-                const endTime = parseFloat(req.query.end || 200);
-                const maxPoints = parseInt(req.query.maxPoints || 2000);
+                const removed = await SavedViews.modify(this.VIEWS_PATH, store => store.remove(req.params.name));
+                if (!removed) {
+                    return res.status(404).json({ error: `View "${req.params.name}" not found` });
+                }
+                res.json({ success: true });
+
+            } catch (error) {
+                console.error('Error deleting view:', error);
+                res.status(500).json({ error: error.message });
+            }
+        });
 
+        // Export channels as CSV/TSV - ?channels=calc_5,calc_3&start=&end=&format=csv|tsv&step=&fill=
+        // Only the loaded file's channels; compared files (fileId/channelId) are exported on their own.
+        this.app.get('/api/export', async (req, res) => {
+            try {
                 if (!this.processor) {
                     return res.status(404).json({ error: 'No file loaded' });
                 }
 
-                // Validate channel ID format
-                if (!this.isValidChannelId(channelId)) {
-                    return res.status(400).json({ error: 'Invalid channel ID format' });
+                const channelIds = String(req.query.channels || '').split(',').filter(id => id);
+                const referenceError = this.checkPrimaryChannels(channelIds, 'exported');
+                if (referenceError) {
+                    return res.status(400).json({ error: referenceError });
                 }
 
-                // Check if channel exists
-                const channelData = this.processor.getChannelById(channelId);
-                if (!channelData) {
-                    return res.status(404).json({ error: `Channel ${channelId} not found` });
+                const annotations = await AnnotationStore.load(this.currentFilePath);
+                const exporter = new DataExporter(
+                    this.processor,
+                    this.binaryData.getMetadata(),
+                    path.basename(this.currentFilePath),
+                    annotations.list()
+                );
+                
+                let prepared;
+                try {
+                    prepared = exporter.prepare(channelIds, {
+                        format: req.query.format,
+                        start: req.query.start,
+                        end: req.query.end,
+                        step: req.query.step,
+                        fill: req.query.fill,
+                        metadata: req.query.metadata !== '0'
+                    });
+                } catch (error) {
+                    return res.status(400).json({ error: error.message });
                 }
 
-                const data = this.processor.getResampledData(channelId, startTime, endTime, maxPoints);
-                
-                res.json({
-                    time: data.time,
-                    values: data.values,
-                    meta: {
-                        channelId,
-                        startTime,
-                        endTime,
-                        requestedMaxPoints: maxPoints,
-                        actualPoints: data.time.length,
-                        label: channelData.label,
-                        unit: channelData.unit,
-                        type: channelId.startsWith('calc_') ? 'calculated' : 'raw'
-                    }
-                });
+                // attachment() quotes the name and adds the RFC 5987 form for non-latin1 names
+                res.attachment(exporter.getDownloadName(prepared));
+                res.set('Content-Type', prepared.format === 'tsv' ? 'text/tab-separated-values' : 'text/csv');
+                await exporter.writeDelimited(res, prepared);
 
             } catch (error) {
-                console.error('Error getting channel data:', error);
-                res.status(500).json({ error: error.message });
+                console.error('Error exporting data:', error);
+                if (res.headersSent) {
+                    res.destroy(error);
+                } else {
+                    res.status(500).json({ error: error.message });
+                }
             }
         });
 
-        // Get multiple channels at once (for efficient loading)
-        this.app.post('/api/data/bulk', (req, res) => {
+        // Export the loaded file as a MATLAB v5 .mat file - ?channels= optionally limits the channels
+        this.app.get('/api/export/mat', async (req, res) => {
             try {
-                const { channelIds, startTime = 0, endTime = 200, maxPoints = 2000 } = req.body;
-
                 if (!this.processor) {
                     return res.status(404).json({ error: 'No file loaded' });
                 }
 
-                if (!Array.isArray(channelIds)) {
-                    return res.status(400).json({ error: 'channelIds must be an array' });
+                let channelIds = null;
+                if (req.query.channels) {
+                    channelIds = String(req.query.channels).split(',').filter(id => id);
+                    const unknown = channelIds.filter(id => !this.processor.getChannelById(id));
+                    if (unknown.length > 0) {
+                        return res.status(400).json({ error: `Unknown channels: ${unknown.join(', ')}` });
+                    }
                 }
 
-                const results = {};
-                
-                for (const channelId of channelIds) {
-                    if (!this.isValidChannelId(channelId)) {
-                        results[channelId] = { error: 'Invalid channel ID format' };
-                        continue;
-                    }
+                const filename = path.basename(this.currentFilePath);
+                const annotations = await AnnotationStore.load(this.currentFilePath);
+                const exporter = new MatExporter(this.binaryData, filename, annotations.list());
+                // Encoded up front so an oversized channel is reported before the download starts
+                const parts = exporter.buildParts(channelIds);
 
-                    const channelData = this.processor.getChannelById(channelId);
-                    if (!channelData) {
-                        results[channelId] = { error: 'Channel not found' };
-                        continue;
-                    }
+                res.attachment(`${filename.replace(/\.bin$/i, '')}.mat`);
+                await exporter.writeToStream(res, parts);
 
-                    const data = this.processor.getResampledData(channelId, startTime, endTime, maxPoints);
-                    results[channelId] = {
-                        time: data.time,
-                        values: data.values,
-                        meta: {
-                            label: channelData.label,
-                            unit: channelData.unit,
-                            type: channelId.startsWith('calc_') ? 'calculated' : 'raw',
-                            actualPoints: data.time.length
-                        }
-                    };
+            } catch (error) {
+                console.error('Error exporting MAT-file:', error);
+                if (error instanceof MatExporter.MatSizeError && !res.headersSent) {
+                    res.status(422).json({ error: error.message });
+                } else if (res.headersSent) {
+                    res.destroy(error);
+                } else {
+                    res.status(500).json({ error: error.message });
+                }
+            }
+        });
+
+        // Static plot image for reports - ?channels=&start=&end=&width=&height=&format=svg|png&title=&filter=
+        // Only the loaded file's channels, compared files (fileId/channelId) are not drawn.
+        this.app.get('/api/render', (req, res) => {
+            try {
+                if (!this.processor) {
+                    return res.status(404).json({ error: 'No file loaded' });
                 }
 
-                res.json({
-                    success: true,
-                    startTime,
-                    endTime,
-                    maxPoints,
-                    channels: results
+                const channelIds = req.query.channels
+                    ? String(req.query.channels).split(',').map(id => id.trim()).filter(id => id)
+                    : this.processor.getDefaultDisplayChannels();
+                const referenceError = this.checkPrimaryChannels(channelIds, 'rendered');
+                if (referenceError) {
+                    return res.status(400).json({ error: referenceError });
+                }
+
+                const format = req.query.format || 'svg';
+                if (!PlotRenderer.FORMATS.includes(format)) {
+                    return res.status(400).json({ error: `Unsupported image format: ${format} (svg or png)` });
+                }
+                if (format === 'png' && !PlotRenderer.isPngAvailable()) {
+                    return res.status(501).json({ error: 'PNG output needs the optional package @resvg/resvg-js' });
+                }
+
+                const renderer = new PlotRenderer(this.processor, this.binaryData.getMetadata(), path.basename(this.currentFilePath));
+                const svg = renderer.render(channelIds, {
+                    start: req.query.start,
+                    end: req.query.end,
+                    width: req.query.width,
+                    height: req.query.height,
+                    title: req.query.title,
+                    filter: this.parseFilter(req.query.filter)
                 });
 
+                if (format === 'png') {
+                    res.type('image/png').send(PlotRenderer.toPng(svg));
+                } else {
+                    res.type('image/svg+xml').send(svg);
+                }
+
             } catch (error) {
-                console.error('Error getting bulk channel data:', error);
+                if (error instanceof PlotRenderer.RenderError || error instanceof SignalFilter.FilterError) {
+                    return res.status(400).json({ error: error.message });
+                }
+                console.error('Error rendering plot:', error);
                 res.status(500).json({ error: error.message });
             }
         });
 
-        // Get channel statistics
-        this.app.get('/api/stats/:channelId', (req, res) => {
+        // Self-contained HTML report of the loaded file (metadata, statistics, plots, events, annotations)
+        this.app.get('/api/report', async (req, res) => {
             try {
-                const channelId = req.params.channelId;
-
                 if (!this.processor) {
                     return res.status(404).json({ error: 'No file loaded' });
                 }
 
-                if (!this.isValidChannelId(channelId)) {
-                    return res.status(400).json({ error: 'Invalid channel ID format' });
-                }
-
-                const stats = this.processor.getChannelStatistics(channelId);
-                if (!stats) {
-                    return res.status(404).json({ error: `Channel ${channelId} not found` });
-                }
-
-                res.json({
-                    channelId,
-                    statistics: stats
+                const generator = await ReportGenerator.load(this.REPORT_CONFIG_PATH);
+                const annotations = await AnnotationStore.load(this.currentFilePath);
+                const filename = path.basename(this.currentFilePath);
+                const html = await generator.generate({
+                    binaryReader: this.binaryData,
+                    processor: this.processor,
+                    filename,
+                    annotations: annotations.list()
                 });
 
+                res.attachment(`${filename.replace(/\.bin$/i, '')}_report.html`);
+                res.send(html);
+
             } catch (error) {
-                console.error('Error getting channel statistics:', error);
+                console.error('Error generating report:', error);
                 res.status(500).json({ error: error.message });
             }
         });
@@ -239,7 +1171,8 @@ class SimplePlotter {
             const health = { 
                 status: 'ok', 
                 hasFile: !!this.processor,
-                filePath: this.BINARY_FILE_PATH,
+                filePath: this.currentFilePath,
+                dataDir: this.DATA_DIR,
                 timestamp: new Date().toISOString()
             };
 
@@ -290,6 +1223,479 @@ class SimplePlotter {
         });
     }
 
+    // Read a binary file and make it the active measurement
+    async loadBinaryFile(filePath, options = {}) {
+        const { binaryReader, processor } = await this.takePrefetched(filePath, options)
+            || await this.readMeasurement(filePath, options);
+        
+        this.stopLiveTail();
+        this.binaryData = binaryReader;
+        this.processor = processor;
+        this.currentFilePath = filePath;
+        this.realignOverlays();
+        
+        if (options.live && !binaryReader.isComplete()) {
+            this.startLiveTail();
+        }
+
+        // Return metadata including calculated channels
+        return {
+            success: true,
+            filename: path.basename(filePath),
+            path: path.relative(this.DATA_DIR, filePath),
+            diagnostics: binaryReader.getDiagnostics(),
+            calibration: binaryReader.getCalibrationProfile(),
+            timestamp: describeTimestamp(binaryReader.getMetadata()),
+            metadata: this.processor.getMetadataSummary(),
+            ranges: this.processor.getDataRanges(),
+            availableChannels: this.processor.getAllAvailableChannels(),
+            channelsByUnit: this.processor.getChannelsByUnit(),
+            defaultChannels: this.processor.getDefaultDisplayChannels(),
+            overlays: this.listOverlays(),
+            live: this.getLiveStatus()
+        };
+    }
+
+    // Read and calibrate a binary file; returns { binaryReader, processor }
+    async readMeasurement(filePath, options = {}) {
+        console.log(`Loading binary file: ${filePath}${options.salvage ? ' (salvage mode)' : ''}${options.live ? ' (live tail)' : ''}`);
+        
+        const calcConfig = await CalculatedChannelConfig.load(this.CALC_CONFIG_PATH);
+        const calibration = await CalibrationProfiles.load(this.CALIBRATION_PATH);
+        if (options.profile && !calibration.getProfile(options.profile)) {
+            throw new CalibrationProfiles.UnknownProfileError(options.profile);
+        }
+        
+        const binaryReader = new BinaryReader(filePath, {
+            salvage: options.salvage,
+            live: options.live,
+            calcConfig,
+            calibration,
+            profile: options.profile,
+            timeZone: this.TIME_ZONE
+        });
+        
+        // Forward progress to connected browsers, at most once per percent
+        let lastReported = null;
+        binaryReader.on('progress', (progress) => {
+            const key = `${progress.phase}:${Math.floor(progress.percent)}`;
+            if (key === lastReported) return;
+            lastReported = key;
+            this.broadcastProgress({ ...progress, filename: path.basename(filePath) });
+        });
+        
+        await binaryReader.readFile();
+        
+        const processor = new DataProcessor(
+            binaryReader.getRawData(),
+            binaryReader.getCalculatedData(),
+            binaryReader.getMetadata()
+        );
+        return { binaryReader, processor };
+    }
+
+    // The measurement the watcher parsed for filePath if the file has not changed since and
+    // no salvage or profile was requested; null otherwise. Any load releases it.
+    async takePrefetched(filePath, options) {
+        const prefetched = this.prefetched;
+        this.prefetched = null;
+        if (!prefetched || prefetched.filePath !== filePath || options.salvage || options.profile) {
+            return null;
+        }
+        
+        const stats = await fs.stat(filePath).catch(() => null);
+        if (!stats || stats.size !== prefetched.size || stats.mtimeMs !== prefetched.mtimeMs) {
+            return null;
+        }
+        
+        console.log(`Using parsed recording: ${filePath}`);
+        return { binaryReader: prefetched.binaryReader, processor: prefetched.processor };
+    }
+
+    // Time offset of an overlay relative to the primary file; throws FileAlignment.AlignmentError
+    alignOverlay(overlay) {
+        overlay.offset = overlay.alignment.getOffset(
+            { processor: this.processor, metadata: this.binaryData.getMetadata() },
+            { processor: overlay.processor, metadata: overlay.binaryData.getMetadata() }
+        );
+        overlay.alignmentError = null;
+    }
+
+    // After a new primary file is loaded; overlays that no longer align fall back to their start
+    realignOverlays() {
+        for (const overlay of this.overlays.values()) {
+            try {
+                this.alignOverlay(overlay);
+            } catch (error) {
+                if (!(error instanceof FileAlignment.AlignmentError)) throw error;
+                overlay.offset = 0;
+                overlay.alignmentError = error.message;
+            }
+        }
+    }
+
+    describeOverlay(overlay) {
+        return {
+            id: overlay.id,
+            filename: path.basename(overlay.filePath),
+            path: path.relative(this.DATA_DIR, overlay.filePath),
+            alignment: overlay.alignment.toJSON(),
+            offset: overlay.offset,
+            alignmentError: overlay.alignmentError,
+            timestamp: describeTimestamp(overlay.binaryData.getMetadata()),
+            calibration: overlay.binaryData.getCalibrationProfile(),
+            metadata: overlay.processor.getMetadataSummary(),
+            availableChannels: overlay.processor.getAllAvailableChannels()
+        };
+    }
+
+    listOverlays() {
+        return Array.from(this.overlays.values(), overlay => this.describeOverlay(overlay));
+    }
+
+    // Error message for an unsupported ?time= value, or null
+    checkTimeAxis(timeAxis) {
+        if (timeAxis !== 'relative' && timeAxis !== 'absolute') {
+            return `Invalid time axis: ${timeAxis} (relative or absolute)`;
+        }
+        if (timeAxis === 'absolute' && !this.binaryData.getMetadata().binaryUnixMs) {
+            return 'The loaded file has no valid start timestamp';
+        }
+        return null;
+    }
+
+    // Seconds since the recording start as a plain array, or Unix milliseconds for the absolute axis
+    toTimeAxis(time, timeAxis) {
+        if (timeAxis !== 'absolute') return Array.from(time);
+        
+        const origin = this.binaryData.getMetadata().binaryUnixMs;
+        return Array.from(time, seconds => origin + seconds * 1000);
+    }
+
+    // Channel reference of a route with the optional :fileId/:channelId form
+    getChannelReference(req) {
+        return req.params.fileId ? `${req.params.fileId}/${req.params.channelId}` : req.params.channelId;
+    }
+
+    // "f1/calc_3" addresses a channel of an overlaid file, plain IDs the primary file.
+    // Returns { fileId, processor, channelId, offset } or null for unknown files.
+    resolveChannel(reference) {
+        const separator = reference.indexOf('/');
+        if (separator < 0) {
+            return { fileId: null, processor: this.processor, channelId: reference, offset: 0 };
+        }
+        
+        const overlay = this.overlays.get(reference.slice(0, separator));
+        if (!overlay) return null;
+        return { fileId: overlay.id, processor: overlay.processor, channelId: reference.slice(separator + 1), offset: overlay.offset };
+    }
+
+    // Resampled data of a resolved channel, with start/end and the returned times on the primary time axis
+    getAlignedData({ processor, channelId, offset }, startTime, endTime, maxPoints, mode, filter) {
+        const data = processor.getResampledData(channelId, startTime - offset, endTime - offset, maxPoints, mode, filter);
+        if (offset === 0) return data;
+        return { time: data.time.map(time => time + offset), values: data.values };
+    }
+
+    // Events of a resolved channel between start and end on the primary time axis, with their
+    // times shifted back onto that axis; null if the channel does not exist
+    getAlignedEvents({ processor, channelId, offset }, detector, start, end, filter) {
+        const events = processor.detectEvents(channelId, detector, start - offset, end - offset, filter);
+        if (!events || offset === 0) return events;
+        
+        return events.map(event => {
+            const aligned = { ...event, time: event.time + offset };
+            if (event.startTime !== undefined) aligned.startTime = event.startTime + offset;
+            if (event.endTime !== undefined) aligned.endTime = event.endTime + offset;
+            return aligned;
+        });
+    }
+
+    // Error message for channel lists of routes that only work on the loaded file, or null
+    checkPrimaryChannels(channelIds, action) {
+        const invalid = channelIds.filter(id => !this.isValidChannelReference(id));
+        if (invalid.length > 0) {
+            return `Invalid channel ID format: ${invalid.join(', ')}`;
+        }
+        
+        const compared = channelIds.filter(id => id.includes('/'));
+        if (compared.length > 0) {
+            return `Channels of compared files cannot be ${action} together with the loaded file: ${compared.join(', ')}. ` +
+                'Load that file to use its channels.';
+        }
+        return null;
+    }
+
+    // Statistics of a channel reference on the primary time axis, or null if it does not exist
+    getAlignedStatistics(reference, start, end, filter, percentiles) {
+        const channel = this.resolveChannel(reference);
+        if (!channel) return null;
+        
+        const { processor, channelId, offset } = channel;
+        const stats = processor.getChannelStatistics(
+            channelId,
+            start === null ? null : start - offset,
+            end === null ? null : end - offset,
+            filter,
+            percentiles
+        );
+        if (!stats || offset === 0) return stats;
+        
+        for (const key of ['startTime', 'endTime', 'timeOfMin', 'timeOfMax']) {
+            if (typeof stats[key] === 'number') stats[key] += offset;
+        }
+        return stats;
+    }
+
+    // ?salvage=1 and ?profile=<name> on /api/load and /api/upload
+    getLoadOptions(req) {
+        return {
+            salvage: ['1', 'true'].includes(String(req.query.salvage)),
+            profile: req.query.profile || null
+        };
+    }
+
+    // Filter chain from a request spec such as "lowpass:200,notch:50", or null for none.
+    // Throws SignalFilter.FilterError for invalid specs.
+    parseFilter(spec) {
+        if (spec === undefined || spec === null || String(spec).trim() === '') return null;
+        return new SignalFilter(spec);
+    }
+
+    // Window and percentile list of the stats routes; percentiles is null when invalid
+    getStatisticsOptions(req) {
+        const start = req.query.start !== undefined ? parseFloat(req.query.start) : null;
+        const end = req.query.end !== undefined ? parseFloat(req.query.end) : null;
+
+        return {
+            start: isNaN(start) ? null : start,
+            end: isNaN(end) ? null : end,
+            percentiles: parsePercentiles(req.query.percentiles)
+        };
+    }
+
+    // Time window and analysis options shared by /api/fft and /api/spectrogram
+    getSpectrumOptions(req) {
+        const timeRange = this.processor.getTimeRange();
+        return {
+            start: req.query.start !== undefined ? parseFloat(req.query.start) : timeRange.min,
+            end: req.query.end !== undefined ? parseFloat(req.query.end) : timeRange.max,
+            options: {
+                window: req.query.window,
+                scale: req.query.scale,
+                detrend: req.query.detrend,
+                nfft: req.query.nfft !== undefined ? parseInt(req.query.nfft) : undefined,
+                overlap: req.query.overlap !== undefined ? parseFloat(req.query.overlap) : undefined
+            }
+        };
+    }
+
+    // Format errors are the file's fault (422), anything else is ours (500)
+    sendLoadError(res, error, relativePath) {
+        if (error instanceof BinaryFormatError) {
+            return res.status(422).json({ ...error.toJSON(), path: relativePath || null });
+        }
+        if (error instanceof CalibrationProfiles.UnknownProfileError) {
+            return res.status(400).json({ error: error.message });
+        }
+        res.status(500).json({ error: error.message });
+    }
+
+    // Invalid annotations are the client's fault (400), anything else is ours (500)
+    sendAnnotationError(res, error) {
+        if (error instanceof AnnotationStore.AnnotationError) {
+            return res.status(400).json({ error: error.message });
+        }
+        console.error('Error saving annotation:', error);
+        res.status(500).json({ error: error.message });
+    }
+
+    broadcastProgress(progress) {
+        const message = `data: ${JSON.stringify(progress)}\n\n`;
+        for (const client of this.progressClients) {
+            client.write(message);
+        }
+    }
+
+    // Named event on the progress stream, e.g. "recording"
+    broadcastEvent(event, data) {
+        const message = `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+        for (const client of this.progressClients) {
+            client.write(message);
+        }
+    }
+
+    // Follow the active file while it grows and tell connected browsers about new samples
+    startLiveTail() {
+        const relativePath = path.relative(this.DATA_DIR, this.currentFilePath);
+        const tail = new LiveTail(this.binaryData, this.processor);
+        
+        tail.on('update', (appended) => {
+            this.broadcastEvent('live', this.getLiveStatus());
+            if (appended.complete) {
+                console.log(`Live tail complete: ${relativePath}`);
+                this.liveTail = null;
+            }
+        });
+        tail.on('error', (error, stopped) => {
+            console.error(`Error following ${relativePath}:`, error.message);
+            if (stopped) {
+                console.log(`Stopped following ${relativePath}`);
+                if (this.liveTail === tail) this.liveTail = null;
+            }
+            this.broadcastEvent('live-error', { path: relativePath, error: error.message, stopped });
+        });
+        
+        console.log(`Following ${relativePath} (${this.binaryData.getDiagnostics().completeSamples.toLocaleString()} samples so far)`);
+        this.liveTail = tail;
+        tail.start();
+    }
+
+    stopLiveTail() {
+        if (this.liveTail) {
+            this.liveTail.stop();
+            this.liveTail = null;
+        }
+    }
+
+    // Progress of the live tail, null when the active file is not being followed
+    getLiveStatus() {
+        if (!this.liveTail) return null;
+        
+        const diagnostics = this.binaryData.getDiagnostics();
+        const summary = this.processor.getMetadataSummary();
+        return {
+            path: path.relative(this.DATA_DIR, this.currentFilePath),
+            samples: diagnostics.completeSamples,
+            expectedSamples: diagnostics.expectedSamples,
+            duration: summary.duration,
+            totalPoints: summary.totalPoints,
+            complete: this.binaryData.isComplete()
+        };
+    }
+
+    // Poll WATCH_DIR and handle finished recordings one at a time
+    async startWatching() {
+        this.watcher = new DirectoryWatcher(this.WATCH_DIR, { settleTime: this.WATCH_SETTLE_MS });
+        this.watcher.on('ready', file => withLock(this.WATCH_DIR, () => this.handleNewRecording(file)));
+        this.watcher.on('error', error => console.error(`Error watching ${this.WATCH_DIR}:`, error.message));
+        await this.watcher.start();
+    }
+
+    // Parse a finished recording ahead of time and tell connected browsers about it
+    async handleNewRecording(file) {
+        const relativePath = path.relative(this.DATA_DIR, file.path);
+        const filename = path.basename(file.path);
+        console.log(`New recording: ${relativePath}`);
+        
+        try {
+            const { binaryReader, processor } = await this.readMeasurement(file.path);
+            this.prefetched = { filePath: file.path, size: file.size, mtimeMs: file.mtimeMs, binaryReader, processor };
+            this.latestRecording = {
+                path: relativePath,
+                filename,
+                size: file.size,
+                duration: processor.getMetadataSummary().duration,
+                timestamp: describeTimestamp(binaryReader.getMetadata()),
+                warnings: binaryReader.getDiagnostics().warnings,
+                detectedAt: new Date().toISOString()
+            };
+            this.broadcastEvent('recording', this.latestRecording);
+        } catch (error) {
+            console.error(`Could not read new recording ${relativePath}:`, error.message);
+            this.broadcastEvent('recording-error', { path: relativePath, filename, error: error.message });
+        }
+    }
+
+    // Name for a new upload that no earlier upload uses: name, else name(1), name(2), ...
+    // The file is created empty right away so concurrent uploads cannot pick the same name,
+    // and an earlier upload that is loaded or followed is never overwritten.
+    async reserveUploadName(name) {
+        const { name: base, ext } = path.parse(name);
+        for (let n = 0; ; n++) {
+            const candidate = n === 0 ? name : `${base}(${n})${ext}`;
+            try {
+                const handle = await fs.open(path.join(this.UPLOAD_DIR, candidate), 'wx');
+                await handle.close();
+                return candidate;
+            } catch (error) {
+                if (error.code !== 'EEXIST') throw error;
+            }
+        }
+    }
+
+    // Resolve a client-supplied path against the data directory.
+    // Returns null when the path escapes DATA_DIR and the restriction is active.
+    resolveDataPath(requestedPath) {
+        const resolved = path.resolve(this.DATA_DIR, requestedPath);
+        
+        if (this.RESTRICT_TO_DATA_DIR) {
+            const relative = path.relative(this.DATA_DIR, resolved);
+            if (relative.startsWith('..') || path.isAbsolute(relative)) {
+                return null;
+            }
+        }
+        
+        return resolved;
+    }
+
+    // Recursively collect .bin files below the data directory
+    async listDataFiles(dir = this.DATA_DIR) {
+        let entries;
+        try {
+            entries = await fs.readdir(dir, { withFileTypes: true });
+        } catch (error) {
+            if (error.code === 'ENOENT') return [];
+            throw error;
+        }
+        
+        const files = [];
+        for (const entry of entries) {
+            const fullPath = path.join(dir, entry.name);
+            if (entry.isDirectory()) {
+                files.push(...await this.listDataFiles(fullPath));
+            } else if (entry.isFile() && path.extname(entry.name).toLowerCase() === '.bin') {
+                const stat = await fs.stat(fullPath);
+                files.push({
+                    name: entry.name,
+                    path: path.relative(this.DATA_DIR, fullPath),
+                    size: stat.size,
+                    modified: stat.mtime.toISOString()
+                });
+            }
+        }
+        
+        return files.sort((a, b) => a.path.localeCompare(b.path));
+    }
+
+    // Content negotiation: binary Float32 payload when the client prefers it over JSON
+    wantsBinary(req) {
+        return req.accepts(['application/json', BinaryTransport.CONTENT_TYPE]) === BinaryTransport.CONTENT_TYPE;
+    }
+
+    sendBinary(res, channels, envelope = {}) {
+        res.set('Content-Type', BinaryTransport.CONTENT_TYPE);
+        res.send(BinaryTransport.encodeChannelPayload(channels, envelope));
+    }
+
+    // Integer request parameter between 1 and max; fallback when absent, null when invalid
+    parseCount(value, fallback, max) {
+        if (value === undefined || value === null || value === '') return fallback;
+        
+        const count = Number(value);
+        return Number.isInteger(count) && count >= 1 && count <= max ? count : null;
+    }
+
+    isValidResampleMode(mode) {
+        return mode === 'minmax' || mode === 'lttb';
+    }
+
+    // Channel ID, optionally prefixed with the ID of an overlaid file ("f1/calc_3")
+    isValidChannelReference(reference) {
+        const match = /^(?:f\d+\/)?(.+)$/.exec(String(reference));
+        return this.isValidChannelId(match[1]);
+    }
+
     // Helper method to validate channel ID format
     isValidChannelId(channelId) {
         // Support raw channels: channel_0 through channel_7
@@ -297,8 +1703,8 @@ class SimplePlotter {
             return true;
         }
         
-        // Support calculated channels: calc_0 through calc_6
-        if (/^calc_[0-6]$/.test(channelId)) {
+        // Support calculated channels: calc_<name> as defined in the channel config
+        if (/^calc_[A-Za-z0-9_]+$/.test(channelId)) {
             return true;
         }
         
@@ -311,6 +1717,10 @@ class SimplePlotter {
     }
 
     async start(port = 3000) {
+        if (this.WATCH_DIR) {
+            await this.startWatching();
+        }
+        
         return new Promise((resolve, reject) => {
             this.server = this.app.listen(port, (error) => {
                 if (error) {
@@ -320,7 +1730,15 @@ class SimplePlotter {
                 }
 
                 console.log(`Binary Plotter with Calculated Channels started at http://localhost:${port}`);
-                console.log(`Configured to load: ${this.BINARY_FILE_PATH}`);
+                console.log(`Data directory: ${this.DATA_DIR}`);
+                console.log(`Default file: ${this.DEFAULT_FILE_PATH}`);
+                console.log(`Calculated channels: ${this.CALC_CONFIG_PATH}`);
+                console.log(`Calibration profiles: ${this.CALIBRATION_PATH}`);
+                console.log(`Process phases: ${this.PHASE_CONFIG_PATH}`);
+                console.log(`Time zone: ${this.TIME_ZONE}`);
+                if (this.WATCH_DIR) {
+                    console.log(`Watching for new recordings: ${this.WATCH_DIR}`);
+                }
                 console.log(`Features: Raw channels + Calculated engineering values`);
                 resolve(port);
             });
@@ -328,7 +1746,18 @@ class SimplePlotter {
     }
 
     stop() {
+        this.stopLiveTail();
+        if (this.watcher) {
+            this.watcher.stop();
+        }
+        
         if (this.server) {
+            // Event streams never finish by themselves and would keep close() waiting
+            for (const client of this.progressClients) {
+                client.end();
+            }
+            this.progressClients.clear();
+            
             this.server.close(() => {
                 console.log('Server closed.');
                 process.exit(0);
@@ -0,0 +1,273 @@
+// Spectrum analysis for one channel: windowed FFT with Welch averaging.
+//
+// scale 'amplitude' gives the single-sided peak amplitude in channel units (a
+// sine of amplitude A shows up as A, corrected for the window's coherent gain),
+// scale 'psd' gives the power spectral density in unit^2/Hz (corrected for the
+// window's equivalent noise bandwidth).
+class SpectrumAnalyzer {
+    constructor() {
+        this.WINDOWS = ['hann', 'hamming', 'flattop', 'rectangular'];
+        this.SCALES = ['amplitude', 'psd'];
+    }
+
+    // Periodic (DFT-even) window of length n
+    createWindow(type, n) {
+        const window = new Float64Array(n);
+        for (let i = 0; i < n; i++) {
+            const x = (2 * Math.PI * i) / n;
+            switch (type) {
+                case 'hann':
+                    window[i] = 0.5 - 0.5 * Math.cos(x);
+                    break;
+                case 'hamming':
+                    window[i] = 0.54 - 0.46 * Math.cos(x);
+                    break;
+                case 'flattop':
+                    window[i] = 0.21557895 - 0.41663158 * Math.cos(x) + 0.277263158 * Math.cos(2 * x) -
+                        0.083578947 * Math.cos(3 * x) + 0.006947368 * Math.cos(4 * x);
+                    break;
+                default:
+                    window[i] = 1;
+            }
+        }
+        return window;
+    }
+
+    // In-place iterative radix-2 FFT; n must be a power of two
+    fft(re, im) {
+        const n = re.length;
+        
+        // Bit-reversal permutation
+        for (let i = 1, j = 0; i < n; i++) {
+            let bit = n >> 1;
+            for (; j & bit; bit >>= 1) j ^= bit;
+            j ^= bit;
+            if (i < j) {
+                [re[i], re[j]] = [re[j], re[i]];
+                [im[i], im[j]] = [im[j], im[i]];
+            }
+        }
+        
+        for (let size = 2; size <= n; size <<= 1) {
+            const half = size >> 1;
+            const angle = (-2 * Math.PI) / size;
+            const wRe = Math.cos(angle);
+            const wIm = Math.sin(angle);
+            
+            for (let start = 0; start < n; start += size) {
+                let curRe = 1;
+                let curIm = 0;
+                for (let k = 0; k < half; k++) {
+                    const a = start + k;
+                    const b = a + half;
+                    const tRe = re[b] * curRe - im[b] * curIm;
+                    const tIm = re[b] * curIm + im[b] * curRe;
+                    re[b] = re[a] - tRe;
+                    im[b] = im[a] - tIm;
+                    re[a] += tRe;
+                    im[a] += tIm;
+                    
+                    const nextRe = curRe * wRe - curIm * wIm;
+                    curIm = curRe * wIm + curIm * wRe;
+                    curRe = nextRe;
+                }
+            }
+        }
+    }
+
+    // Validate the shared options of welch() and spectrogram() and prepare the window
+    prepare(values, options) {
+        const windowType = options.window || 'hann';
+        const scale = options.scale || 'amplitude';
+        const overlap = options.overlap !== undefined ? options.overlap : 0.5;
+        const detrend = options.detrend || 'mean';
+        
+        if (!this.WINDOWS.includes(windowType)) throw new Error(`Unsupported window: ${windowType}`);
+        if (!this.SCALES.includes(scale)) throw new Error(`Unsupported scale: ${scale}`);
+        if (!['mean', 'none'].includes(detrend)) throw new Error(`Unsupported detrend: ${detrend}`);
+        if (!(overlap >= 0 && overlap <= 0.95)) throw new Error(`Overlap must be between 0 and 0.95, got ${overlap}`);
+        if (values.length < 4) throw new Error('At least 4 samples are needed for a spectrum');
+        
+        // Segment length: requested power of two, but not longer than the data
+        let nfft = options.nfft || 4096;
+        if (!Number.isInteger(nfft) || nfft < 4 || (nfft & (nfft - 1))) throw new Error(`nfft must be a power of two, got ${nfft}`);
+        while (nfft > values.length && nfft > 4) nfft >>= 1;
+        
+        const window = this.createWindow(windowType, nfft);
+        let windowSum = 0;
+        let windowSquareSum = 0;
+        for (let i = 0; i < nfft; i++) {
+            windowSum += window[i];
+            windowSquareSum += window[i] * window[i];
+        }
+        
+        return {
+            windowType,
+            scale,
+            overlap,
+            detrend,
+            nfft,
+            window,
+            windowSum,
+            windowSquareSum,
+            bins: nfft / 2 + 1,
+            step: Math.max(1, Math.round(nfft * (1 - overlap))),
+            re: new Float64Array(nfft),
+            im: new Float64Array(nfft)
+        };
+    }
+
+    // Add the squared FFT magnitudes of the segment at start to power
+    accumulateSegment(values, start, setup, power) {
+        const { nfft, window, re, im } = setup;
+        
+        let mean = 0;
+        if (setup.detrend === 'mean') {
+            for (let i = 0; i < nfft; i++) mean += values[start + i];
+            mean /= nfft;
+        }
+        
+        for (let i = 0; i < nfft; i++) {
+            re[i] = (values[start + i] - mean) * window[i];
+            im[i] = 0;
+        }
+        
+        this.fft(re, im);
+        for (let k = 0; k < setup.bins; k++) {
+            power[k] += re[k] * re[k] + im[k] * im[k];
+        }
+    }
+
+    // Convert an averaged squared FFT magnitude of bin k to the requested scale
+    scaleBin(averagePower, k, setup, sampleRate) {
+        // Single-sided: everything except DC and Nyquist carries both halves
+        const oneSided = (k === 0 || k === setup.nfft / 2) ? 1 : 2;
+        
+        if (setup.scale === 'psd') {
+            return (oneSided * averagePower) / (sampleRate * setup.windowSquareSum);
+        }
+        return (oneSided * Math.sqrt(averagePower)) / setup.windowSum;
+    }
+
+    // Welch spectrum of values sampled at sampleRate (Hz).
+    // options: window, nfft (power of two), overlap (0..0.95), scale, detrend ('mean' | 'none')
+    welch(values, sampleRate, options = {}) {
+        const setup = this.prepare(values, options);
+        const { nfft, bins } = setup;
+        const power = new Float64Array(bins);
+        let segments = 0;
+        
+        for (let start = 0; start + nfft <= values.length; start += setup.step) {
+            this.accumulateSegment(values, start, setup, power);
+            segments++;
+        }
+        
+        const frequencies = new Float32Array(bins);
+        const magnitudes = new Float32Array(bins);
+        
+        for (let k = 0; k < bins; k++) {
+            frequencies[k] = (k * sampleRate) / nfft;
+            magnitudes[k] = this.scaleBin(power[k] / segments, k, setup, sampleRate);
+        }
+        
+        return {
+            frequencies,
+            magnitudes,
+            nfft,
+            segments,
+            resolution: sampleRate / nfft,
+            sampleRate,
+            window: setup.windowType,
+            scale: setup.scale,
+            overlap: setup.overlap
+        };
+    }
+
+    // Short-time Fourier transform decimated to columns x rows, magnitudes in dB
+    // (dB re 1 unit for scale 'amplitude', dB re 1 unit^2/Hz for 'psd').
+    // STFT frames falling into the same column are power-averaged, frequency bins
+    // falling into the same row keep their maximum so narrow lines stay visible.
+    // Returns times (column centers, seconds from the first value) and z[row][column].
+    spectrogram(values, sampleRate, options = {}) {
+        const setup = this.prepare(values, options);
+        const { nfft, bins } = setup;
+        const frames = Math.floor((values.length - nfft) / setup.step) + 1;
+        const columns = Math.max(1, Math.min(options.columns || 800, frames));
+        const rows = Math.max(1, Math.min(options.rows || 256, bins));
+        
+        // Long recordings: skip frames so at most a few are averaged per column
+        const framesPerColumn = frames / columns;
+        const frameStride = Math.max(1, Math.floor(framesPerColumn / 4));
+        
+        const z = Array.from({ length: rows }, () => new Float32Array(columns));
+        const times = new Float32Array(columns);
+        const power = new Float64Array(bins);
+        let computedFrames = 0;
+        
+        for (let column = 0; column < columns; column++) {
+            const firstFrame = Math.floor(column * framesPerColumn);
+            const lastFrame = Math.max(firstFrame + 1, Math.floor((column + 1) * framesPerColumn));
+            power.fill(0);
+            let count = 0;
+            
+            for (let frame = firstFrame; frame < lastFrame; frame += frameStride) {
+                this.accumulateSegment(values, frame * setup.step, setup, power);
+                count++;
+            }
+            computedFrames += count;
+            
+            const centerSample = ((firstFrame + lastFrame - 1) / 2) * setup.step + nfft / 2;
+            times[column] = centerSample / sampleRate;
+            
+            for (let row = 0; row < rows; row++) {
+                const firstBin = Math.floor((row * bins) / rows);
+                const lastBin = Math.max(firstBin + 1, Math.floor(((row + 1) * bins) / rows));
+                let peak = 0;
+                for (let k = firstBin; k < lastBin; k++) {
+                    peak = Math.max(peak, this.scaleBin(power[k] / count, k, setup, sampleRate));
+                }
+                
+                const decibels = (setup.scale === 'psd' ? 10 : 20) * Math.log10(peak);
+                z[row][column] = Math.max(decibels, -300);
+            }
+        }
+        
+        const frequencies = new Float32Array(rows);
+        for (let row = 0; row < rows; row++) {
+            const firstBin = Math.floor((row * bins) / rows);
+            const lastBin = Math.max(firstBin + 1, Math.floor(((row + 1) * bins) / rows));
+            frequencies[row] = (((firstBin + lastBin - 1) / 2) * sampleRate) / nfft;
+        }
+        
+        return {
+            times,
+            frequencies,
+            z,
+            nfft,
+            frames,
+            computedFrames,
+            resolution: sampleRate / nfft,
+            timeResolution: (setup.step * frameStride) / sampleRate,
+            sampleRate,
+            window: setup.windowType,
+            scale: setup.scale,
+            overlap: setup.overlap
+        };
+    }
+
+    // Largest local maxima of a spectrum (DC excluded), strongest first
+    findPeaks(spectrum, count = 10) {
+        const { frequencies, magnitudes } = spectrum;
+        const peaks = [];
+        
+        for (let k = 1; k < magnitudes.length - 1; k++) {
+            if (magnitudes[k] > magnitudes[k - 1] && magnitudes[k] >= magnitudes[k + 1]) {
+                peaks.push({ frequency: frequencies[k], magnitude: magnitudes[k] });
+            }
+        }
+        
+        return peaks.sort((a, b) => b.magnitude - a.magnitude).slice(0, count);
+    }
+}
+
+module.exports = SpectrumAnalyzer;
@@ -1,21 +1,61 @@
 #!/usr/bin/env node
 
 // Simple index.js - Just start and plot
+const path = require('path');
 const SimplePlotter = require('./SimplePlotter');
+const BinaryReader = require('./BinaryReader');
+const CalculatedChannelConfig = require('./CalculatedChannelConfig');
+const CalibrationProfiles = require('./CalibrationProfiles');
+const MatExporter = require('./MatExporter');
+const AnnotationStore = require('./AnnotationStore');
+const BatchCommands = require('./BatchCommands');
+const { parseArgs } = require('./utils');
 
 async function main() {
     try {
         const args = process.argv.slice(2);
+        if (BatchCommands.COMMANDS.includes(args[0])) {
+            process.exitCode = await runBatchCommand(args[0], args.slice(1));
+            return;
+        }
+
         const port = getPortFromArgs(args) || 3000;
+        const dataDir = getOptionFromArgs(args, '--data-dir', '-d');
+        const file = getOptionFromArgs(args, '--file', '-f');
+        const calcConfig = getOptionFromArgs(args, '--calc-config', '-c');
+        const calibration = getOptionFromArgs(args, '--calibration');
+        const phaseConfig = getOptionFromArgs(args, '--phases');
+        const viewsFile = getOptionFromArgs(args, '--views');
+        const reportConfig = getOptionFromArgs(args, '--report-config');
+        const profile = getOptionFromArgs(args, '--profile');
+        const timeZone = getOptionFromArgs(args, '--timezone', '-z');
+        const watchDir = getOptionFromArgs(args, '--watch', '-w');
+        const watchSettleSeconds = getOptionFromArgs(args, '--watch-settle');
 
         if (args.includes('--help') || args.includes('-h')) {
             showHelp();
             return;
         }
 
+        const matInput = getOptionFromArgs(args, '--to-mat');
+        if (matInput) {
+            await convertToMat(matInput, getOptionFromArgs(args, '--out', '-o'), { calcConfig, calibration, profile, timeZone });
+            return;
+        }
+
+        let watchSettle;
+        if (watchSettleSeconds !== null) {
+            watchSettle = parseFloat(watchSettleSeconds) * 1000;
+            if (!(watchSettle >= 0)) {
+                throw new Error(`--watch-settle must be a number of seconds: ${watchSettleSeconds}`);
+            }
+        }
+
         console.log('Starting Simple Binary Plotter...');
         
-        const plotter = new SimplePlotter();
+        const plotter = new SimplePlotter({
+            dataDir, file, calcConfig, calibration, phaseConfig, viewsFile, reportConfig, timeZone, watchDir, watchSettle
+        });
         await plotter.start(port);
         
         // Auto-open browser
@@ -44,22 +84,122 @@ function getPortFromArgs(args) {
     return null;
 }
 
+// Convert a .bin file to a MATLAB .mat file without starting the server
+async function convertToMat(inputPath, outputPath, options = {}) {
+    const output = outputPath || inputPath.replace(/\.bin$/i, '') + '.mat';
+    
+    const calcConfig = await CalculatedChannelConfig.load(options.calcConfig || CalculatedChannelConfig.DEFAULT_PATH);
+    const calibration = await CalibrationProfiles.load(options.calibration || CalibrationProfiles.DEFAULT_PATH);
+    const reader = new BinaryReader(inputPath, { calcConfig, calibration, profile: options.profile, timeZone: options.timeZone });
+    await reader.readFile();
+    
+    const annotations = await AnnotationStore.load(inputPath);
+    const exporter = new MatExporter(reader, path.basename(inputPath), annotations.list());
+    await exporter.writeFile(output);
+    console.log(`MAT-file written: ${output}`);
+}
+
+// Batch commands (info, stats, export, ...) over files and glob patterns; resolves to the exit code
+async function runBatchCommand(command, args) {
+    const options = parseArgs(args, {
+        flags: ['json', 'no-metadata', 'salvage', 'quiet', 'help'],
+        aliases: { c: 'calc-config', z: 'timezone', h: 'help' }
+    });
+    if (options.help) {
+        showHelp();
+        return 0;
+    }
+    
+    const commands = new BatchCommands({
+        calcConfig: options.calcConfig,
+        calibration: options.calibration,
+        profile: options.profile,
+        timeZone: options.timezone,
+        salvage: options.salvage,
+        log: options.quiet ? () => {} : undefined
+    });
+    const failures = await commands.run(command, options._, options);
+    return failures > 0 ? 1 : 0;
+}
+
+function getOptionFromArgs(args, longName, shortName) {
+    const index = args.findIndex(arg => arg === longName || arg === shortName);
+    if (index !== -1 && args[index + 1]) {
+        return args[index + 1];
+    }
+    return null;
+}
+
 function showHelp() {
     console.log(`
 Simple Binary Plotter
 
 Usage: node index.js [options]
+       node index.js <command> <file.bin | "glob/**/*.bin">... [options]
 
 Options:
   --port, -p <number>    Port number (default: 3000)
+  --data-dir, -d <dir>   Directory to browse for .bin files (default: data/)
+  --file, -f <file>      File to load on startup (default: data/J25-07-30(3).bin)
+  --calc-config, -c <f>  Calculated channel definitions, JSON or YAML
+                         (default: config/calculated-channels.json)
+  --calibration <file>   Calibration profiles (default: config/calibration-profiles.json)
+  --phases <file>        Process phase rules (default: config/process-phases.json)
+  --views <file>         Saved views (default: views.json in the data directory)
+  --report-config <file> Report title and event rules (default: config/report.json)
+  --profile <name>       Calibration profile for --to-mat (default: match by header/date)
+  --timezone, -z <zone>  Time zone of the recording machine, e.g. Europe/Zurich
+                         (default: this machine's time zone)
+  --watch, -w <dir>      Watch a directory inside the data directory for new recordings
+                         and offer them to connected browsers
+  --watch-settle <s>     Seconds a new file's size must stay unchanged before it is
+                         read (default: 2)
+  --to-mat <file.bin>    Convert a .bin file to MATLAB .mat (v5) and exit
+  --out, -o <file.mat>   Output path for --to-mat (default: next to the input)
   --help, -h            Show this help
 
+Commands (no server; --calc-config, --calibration, --profile and --timezone apply):
+  info                   Header, start time, sampling and channels
+                         --json                   Print JSON instead of text
+  stats                  Statistics per channel, printed as JSON
+                         --channels <ids>         Comma-separated (default: all channels)
+                         --start, --end <s>       Time window (default: whole file)
+                         --filter <spec>          Filter, e.g. lowpass:200
+                         --percentiles <list>     e.g. 5,50,95
+                         --format json|csv        Output format (default: json)
+  export                 Channels as CSV/TSV, written next to each input
+                         --channels <ids>         Comma-separated (default: calculated channels)
+                         --start, --end <s>       Time window (default: whole file)
+                         --step <s>, --fill <m>   Resample on a fixed grid (fill: empty|hold|linear)
+                         --format csv|tsv         Output format (default: csv)
+                         --no-metadata            Omit the # comment lines
+                         --out-dir <dir>          Write into dir instead
+  convert                The whole file in another format, written next to each input
+                         --to mat|csv|tsv         Output format (default: mat)
+                         --out-dir <dir>          Write into dir instead
+  render                 Plot image of min/max-decimated traces, written next to each input
+                         --channels <ids>         Comma-separated (default: the default display channels)
+                         --start, --end <s>       Time window (default: whole file)
+                         --width, --height <px>   Image size (default: 1200 x 600)
+                         --title <text>           Title (default: the file name)
+                         --filter <spec>          Filter, e.g. lowpass:200
+                         --format svg|png         PNG needs the optional package @resvg/resvg-js
+                         --out-dir <dir>          Write into dir instead
+  report                 Self-contained HTML report, written next to each input as <name>_report.html
+                         --report-config <file>   Title and event rules (default: config/report.json)
+                         --out-dir <dir>          Write into dir instead
+  --salvage              Read truncated files up to the last complete sample
+  --quiet                Suppress progress messages (they go to stderr)
+
+  Globs are expanded by the tool too, so quote them for ** patterns. The exit
+  code is 1 when any file failed.
+
 Setup:
-1. Put your .bin file in: data/measurement.bin
+1. Put your .bin files in the data directory
 2. Run: node index.js
 3. Browser opens automatically with the plot
 
-Note: Edit SimplePlotter.js to change the file path.
+Other files can be picked from the data directory or uploaded in the browser.
 `);
 }
 
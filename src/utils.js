@@ -5,17 +5,30 @@ const VOLTAGE_RANGES = {
     12: 100.0, 13: 200.0
 };
 
-// Default colors for plotting
-const PLOT_COLORS = [
-    '#1f77b4', '#ff7f0e', '#2ca02c', '#d62728', 
-    '#9467bd', '#8c564b', '#e377c2', '#7f7f7f'
-];
+// Channel colors of the browser plot and of server-rendered images. This is the only copy of
+// the palette: the browser gets each channel's color with the channel list, see
+// DataProcessor.getAllAvailableChannels().
+//
+// Engineering value colors by channel ID, used when the channel config sets none
+const CALCULATED_COLORS = {
+    calc_5: '#e74c3c', // U_DC* - Red for voltage
+    calc_3: '#3498db', // I_DC_GR1* - Blue for current
+    calc_4: '#9b59b6', // I_DC_GR2* - Purple for current
+    calc_6: '#f39c12', // F_Schlitten* - Orange for force
+    calc_0: '#1abc9c', // UL3L1* - Teal
+    calc_1: '#2ecc71', // IL2GR1* - Green
+    calc_2: '#95a5a6'  // IL2GR2* - Gray
+};
+
+// Raw channels are drawn in muted grays
+const RAW_COLORS = ['#bdc3c7', '#ecf0f1', '#95a5a6', '#7f8c8d', '#6c7b7b', '#566d6d', '#475a5a', '#34495e'];
 
 /**
  * Convert ADC value to physical value
+ * (voltageRanges defaults to VOLTAGE_RANGES, calibration profiles may supply their own table)
  */
-function convertAdcToPhysical(rawAdc, maxAdcValue, channelRange, channelScaling) {
-    const voltageRange = VOLTAGE_RANGES[channelRange] || 5.0;
+function convertAdcToPhysical(rawAdc, maxAdcValue, channelRange, channelScaling, voltageRanges = VOLTAGE_RANGES) {
+    const voltageRange = voltageRanges[channelRange] || 5.0;
     const millivolts = (rawAdc / maxAdcValue) * voltageRange * 1000;
     const physicalValue = (channelScaling / 1000.0) * millivolts;
     return physicalValue;
@@ -32,7 +45,7 @@ function formatFileSize(bytes) {
 }
 
 /**
- * Determine Y-axis assignment based on unit
+ * Determine Y-axis assignment based on unit (same layout as the browser plot)
  */
 function getYAxisForUnit(unit) {
     switch (unit) {
@@ -40,48 +53,271 @@ function getYAxisForUnit(unit) {
             return 'y';
         case 'A':
             return 'y2';
-        case 'Bar':
+        case 'kN':
             return 'y3';
+        case 'Bar':
+            return 'y4';
         default:
             return 'y';
     }
 }
 
 /**
- * Get color for channel
+ * Get color for a channel ID, as in the browser plot: the color from the
+ * channel configuration, else the engineering value palette, grays for raw channels
  */
-function getChannelColor(channelIndex) {
-    return PLOT_COLORS[channelIndex % PLOT_COLORS.length];
+function getChannelColor(channelId, configuredColor = null) {
+    if (channelId.startsWith('calc_')) {
+        return configuredColor || CALCULATED_COLORS[channelId] || '#e74c3c';
+    }
+    const index = parseInt(channelId.replace('channel_', ''));
+    return RAW_COLORS[index % RAW_COLORS.length];
 }
 
 /**
- * Parse command line arguments
+ * Parse command line arguments into { _: [positional...], <option>: value }.
+ * "--name value" and "--name=value" set options.name ("--calc-config" becomes
+ * calcConfig), names listed in flags take no value and are set to true, and
+ * aliases map short names to long ones ({ o: 'out' } for "-o").
  */
-function parseArgs(args) {
-    const result = {
-        filename: null,
-        port: 3000,
-        help: false
-    };
+function parseArgs(args, { flags = [], aliases = {} } = {}) {
+    const result = { _: [] };
+    const toKey = name => name.replace(/-([a-z])/g, (match, letter) => letter.toUpperCase());
     
     for (let i = 0; i < args.length; i++) {
         const arg = args[i];
+        const match = /^(?:--([^=]+)|-([^-=]))(?:=(.*))?$/.exec(arg);
         
-        if (arg === '--help' || arg === '-h') {
-            result.help = true;
-        } else if (arg === '--port' || arg === '-p') {
-            if (i + 1 < args.length) {
-                result.port = parseInt(args[i + 1]);
-                i++; // Skip next argument
-            }
-        } else if (!result.filename && !arg.startsWith('--')) {
-            result.filename = arg;
+        if (!match) {
+            result._.push(arg);
+            continue;
+        }
+        
+        const name = match[1] || aliases[match[2]] || match[2];
+        if (flags.includes(name)) {
+            result[toKey(name)] = true;
+        } else if (match[3] !== undefined) {
+            result[toKey(name)] = match[3];
+        } else if (i + 1 < args.length) {
+            result[toKey(name)] = args[++i];
+        } else {
+            throw new Error(`Missing value for ${arg}`);
         }
     }
     
     return result;
 }
 
+/**
+ * Regular expression for a glob pattern on "/"-separated paths:
+ * * and ? match within one path segment, ** matches any number of segments
+ */
+function globToRegExp(pattern) {
+    let source = '';
+    for (let i = 0; i < pattern.length; i++) {
+        const character = pattern[i];
+        if (character === '*' && pattern[i + 1] === '*') {
+            const wholeSegment = pattern[i + 2] === '/';
+            source += wholeSegment ? '(?:.*/)?' : '.*';
+            i += wholeSegment ? 2 : 1;
+        } else if (character === '*') {
+            source += '[^/]*';
+        } else if (character === '?') {
+            source += '[^/]';
+        } else {
+            source += character.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+        }
+    }
+    return new RegExp(`^${source}$`);
+}
+
+/**
+ * Files matching a glob pattern, sorted. Patterns without wildcards are
+ * returned as they are, so missing files are reported by whoever opens them.
+ */
+async function expandGlob(pattern) {
+    const fs = require('fs');
+    const path = require('path');
+    
+    const normalized = pattern.split(path.sep).join('/');
+    if (!/[*?]/.test(normalized)) return [pattern];
+    
+    // Walk from the deepest directory without wildcards
+    const segments = normalized.split('/');
+    const firstWildcard = segments.findIndex(segment => /[*?]/.test(segment));
+    const baseDir = segments.slice(0, firstWildcard).join('/') || (normalized.startsWith('/') ? '/' : '.');
+    const regex = globToRegExp(segments.slice(firstWildcard).join('/'));
+    const maxDepth = normalized.includes('**') ? Infinity : segments.length - firstWildcard;
+    
+    const matches = [];
+    const walk = async (dir, relative, depth) => {
+        let entries;
+        try {
+            entries = await fs.promises.readdir(dir, { withFileTypes: true });
+        } catch (error) {
+            if (error.code === 'ENOENT' || error.code === 'ENOTDIR') return;
+            throw error;
+        }
+        
+        for (const entry of entries) {
+            const entryRelative = relative ? `${relative}/${entry.name}` : entry.name;
+            const entryPath = path.join(dir, entry.name);
+            if (entry.isDirectory() && depth < maxDepth) {
+                await walk(entryPath, entryRelative, depth + 1);
+            } else if (entry.isFile() && regex.test(entryRelative)) {
+                matches.push(entryPath);
+            }
+        }
+    };
+    await walk(baseDir, '', 1);
+    
+    return matches.sort();
+}
+
+/**
+ * IANA time zone of this machine, e.g. "Europe/Zurich"
+ */
+function getLocalTimeZone() {
+    return Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+}
+
+/**
+ * Check an IANA time zone name ("Europe/Zurich", "UTC", ...)
+ */
+function isValidTimeZone(timeZone) {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone });
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * UTC offset of a time zone at the given instant in milliseconds (e.g. +7200000 for CEST)
+ */
+function getTimeZoneOffsetMs(unixMs, timeZone) {
+    const parts = {};
+    const format = new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        year: 'numeric', month: 'numeric', day: 'numeric',
+        hour: 'numeric', minute: 'numeric', second: 'numeric'
+    });
+    for (const { type, value } of format.formatToParts(new Date(unixMs))) {
+        parts[type] = Number(value);
+    }
+    
+    const wallClock = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+    const wholeSeconds = Math.floor(unixMs / 1000) * 1000;
+    return wallClock - wholeSeconds;
+}
+
+/**
+ * Unix milliseconds of a wall-clock time in a time zone. wallClockMs is the
+ * wall-clock time encoded as if it were UTC (Date.UTC(...)). Times skipped by a
+ * DST change resolve to the later offset.
+ */
+function wallClockToUnixMs(wallClockMs, timeZone) {
+    // Two passes settle the offset when the first guess lies across a DST change
+    let unixMs = wallClockMs - getTimeZoneOffsetMs(wallClockMs, timeZone);
+    unixMs = wallClockMs - getTimeZoneOffsetMs(unixMs, timeZone);
+    return unixMs;
+}
+
+/**
+ * Run task after all earlier tasks with the same key have settled. Serializes
+ * load-modify-save cycles on a JSON file so concurrent requests do not lose edits.
+ */
+const pendingTasks = new Map();
+function withLock(key, task) {
+    const previous = pendingTasks.get(key) || Promise.resolve();
+    const run = previous.then(task);
+    
+    const settled = run.catch(() => {});
+    pendingTasks.set(key, settled);
+    settled.then(() => {
+        if (pendingTasks.get(key) === settled) pendingTasks.delete(key);
+    });
+    
+    return run;
+}
+
+/**
+ * Write a chunk and wait while the stream is full. Resolves false once the stream
+ * is closed or destroyed, e.g. when the client aborted a download: a destroyed
+ * response never emits 'drain', so callers must stop writing instead of waiting.
+ */
+async function writeChunk(stream, chunk) {
+    if (stream.destroyed) return false;
+    if (stream.write(chunk)) return true;
+    
+    return new Promise(resolve => {
+        const settle = (drained) => {
+            stream.off('drain', onDrain);
+            stream.off('close', onClose);
+            resolve(drained && !stream.destroyed);
+        };
+        const onDrain = () => settle(true);
+        const onClose = () => settle(false);
+        stream.on('drain', onDrain);
+        stream.on('close', onClose);
+    });
+}
+
+/**
+ * Create outputPath and fill it with write(stream), which must end the stream.
+ * Rejects with the stream's error, e.g. when the file cannot be opened, instead of
+ * leaving an 'error' event without listener that would end the process.
+ */
+async function writeToFile(outputPath, write) {
+    const fs = require('fs');
+    const { finished } = require('stream/promises');
+    
+    const stream = fs.createWriteStream(outputPath);
+    // finished() listens for 'error' right away; writeChunk() stops once the stream is destroyed
+    await Promise.all([finished(stream), write(stream)]);
+}
+
+/**
+ * Recording start of a file for display: Unix ms, ISO UTC, wall clock with UTC
+ * offset in the recording time zone, and how the timestamp was interpreted
+ */
+function describeTimestamp(metadata) {
+    const { binaryUnixMs: unixMs, timestampKind: kind, timeZone, utcOffsetMinutes } = metadata;
+    if (!unixMs) {
+        return { unixMs: null, kind, timeZone };
+    }
+    
+    const sign = utcOffsetMinutes < 0 ? '-' : '+';
+    const hours = String(Math.floor(Math.abs(utcOffsetMinutes) / 60)).padStart(2, '0');
+    const minutes = String(Math.abs(utcOffsetMinutes) % 60).padStart(2, '0');
+    const wallClock = new Date(unixMs + utcOffsetMinutes * 60000).toISOString().replace('Z', '');
+    
+    return {
+        unixMs,
+        iso: new Date(unixMs).toISOString(),
+        local: `${wallClock}${sign}${hours}:${minutes}`,
+        kind,
+        timeZone,
+        utcOffsetMinutes
+    };
+}
+
+/**
+ * Percentile list such as "5,50,95": undefined when nothing is listed (empty items
+ * are dropped, so "" and "5,,95" do not turn into 0), null when an item is not 0..100
+ */
+function parsePercentiles(value) {
+    if (value === undefined || value === null) return undefined;
+    
+    const items = String(value).split(',').map(item => item.trim()).filter(item => item !== '');
+    if (items.length === 0) return undefined;
+    
+    const percentiles = items.map(Number);
+    return percentiles.some(p => isNaN(p) || p < 0 || p > 100) ? null : percentiles;
+}
+
 /**
  * Create timestamp string
  */
@@ -101,11 +337,21 @@ const Logger = {
 
 module.exports = {
     VOLTAGE_RANGES,
-    PLOT_COLORS,
     convertAdcToPhysical,
     formatFileSize,
     getYAxisForUnit,
     getChannelColor,
     parseArgs,
+    globToRegExp,
+    expandGlob,
+    getLocalTimeZone,
+    isValidTimeZone,
+    getTimeZoneOffsetMs,
+    wallClockToUnixMs,
+    describeTimestamp,
+    parsePercentiles,
+    withLock,
+    writeChunk,
+    writeToFile,
     Logger
 };
\ No newline at end of file